@@ -0,0 +1,65 @@
+// src/app.js
+"use strict";
+
+const express = require("express");
+const { requireDeps } = require("./utils/requireDeps");
+const { requireAdminAuth } = require("./utils/adminAuth");
+const { healthRouter } = require("./routes/health");
+const { adminReloadRouter } = require("./routes/adminReloadSheets");
+const { adminSsotVersionsRouter } = require("./routes/adminSsotVersions");
+const { adminCallsRouter } = require("./routes/adminCalls");
+const { adminWebhooksRouter } = require("./routes/adminWebhooks");
+const { recordingsRouter } = require("./routes/recordings");
+const { twilioStatusRouter } = require("./routes/twilioStatus");
+const { metricsRouter } = require("./routes/metrics");
+
+/**
+ * Composition root for HTTP routes: every router gets its dependencies here.
+ * Throws at startup when a dependency is missing instead of failing per request.
+ *
+ * deps: { env, logger, ssotClient, callRegistry, recordingStore, webhookOutbox, webhookSnapshots, metrics }
+ */
+function createApp(deps) {
+  const { env, logger, ssotClient, callRegistry, recordingStore, webhookOutbox, webhookSnapshots, metrics } =
+    requireDeps("createApp", deps, [
+      "env",
+      "logger",
+      "ssotClient",
+      "callRegistry",
+      "recordingStore",
+      "webhookOutbox",
+      "webhookSnapshots",
+      "metrics"
+    ]);
+
+  const app = express();
+
+  // rawBody is needed to verify HMAC-signed admin requests.
+  app.use(
+    express.json({
+      limit: "1mb",
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    })
+  );
+
+  app.use(healthRouter({ env, callRegistry }));
+  app.use(metricsRouter({ env, callRegistry, ssotClient, webhookOutbox, metrics }));
+  app.use(twilioStatusRouter({ callRegistry, logger }));
+  app.use(recordingsRouter({ env, logger, recordingStore }));
+
+  app.use("/admin", requireAdminAuth());
+  app.use(adminReloadRouter({ ssotClient }));
+  app.use(adminSsotVersionsRouter({ ssotClient }));
+  app.use(adminCallsRouter({ callRegistry, logger }));
+  app.use(adminWebhooksRouter({ env, webhookOutbox, webhookSnapshots, ssotClient }));
+
+  app.use((req, res) => {
+    res.status(404).json({ error: "not_found" });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,95 @@
+// src/audio/codecs.js
+"use strict";
+
+// Codec registry for the provider side of the call audio.
+//
+// Format names (GEMINI_AUDIO_IN_FORMAT / GEMINI_AUDIO_OUT_FORMAT):
+//   ulaw8k   G.711 μ-law 8 kHz (same as Twilio: passed through unchanged)
+//   alaw8k   G.711 A-law 8 kHz
+//   pcm8k | pcm16k | pcm24k   PCM16LE mono at that rate
+//
+// Each provider lists the formats it speaks; assertAudioFormats() rejects anything else
+// at startup, so a typo or an unsupported combination never reaches a live call.
+//
+// Legacy: before the codec registry both vars were documented as ulaw8k (the Twilio side).
+// A ulaw8k the provider cannot speak falls back to the provider default and is reported
+// in `deprecated` so the server can warn once at startup.
+
+const { decodeUlaw, encodeUlaw, decodeAlaw, encodeAlaw } = require("./g711");
+
+function decodePcm16(buf) {
+  const samples = new Int16Array(buf.length >> 1);
+  for (let i = 0; i < samples.length; i++) samples[i] = buf.readInt16LE(i * 2);
+  return samples;
+}
+
+function encodePcm16(samples) {
+  const out = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) out.writeInt16LE(samples[i], i * 2);
+  return out;
+}
+
+function pcmCodec(rate) {
+  return {
+    encoding: "pcm16",
+    rate,
+    bytesPerSample: 2,
+    mimeType: `audio/pcm;rate=${rate}`,
+    decode: decodePcm16,
+    encode: encodePcm16
+  };
+}
+
+const CODECS = {
+  ulaw8k: { encoding: "ulaw", rate: 8000, bytesPerSample: 1, mimeType: "audio/x-mulaw;rate=8000", decode: decodeUlaw, encode: encodeUlaw },
+  alaw8k: { encoding: "alaw", rate: 8000, bytesPerSample: 1, mimeType: "audio/x-alaw;rate=8000", decode: decodeAlaw, encode: encodeAlaw },
+  pcm8k: pcmCodec(8000),
+  pcm16k: pcmCodec(16000),
+  pcm24k: pcmCodec(24000)
+};
+
+// What each PROVIDER_MODE accepts (in) and emits (out).
+// Gemini Live takes PCM16 at any rate (16k native) and always answers with PCM16 24k.
+const PROVIDER_AUDIO_FORMATS = {
+  gemini: { in: ["pcm8k", "pcm16k", "pcm24k"], out: ["pcm24k"], defaults: { in: "pcm16k", out: "pcm24k" } }
+};
+
+const LEGACY_FORMAT = "ulaw8k";
+
+function getCodec(format) {
+  const name = String(format || "").trim().toLowerCase();
+  const codec = CODECS[name];
+  if (!codec) {
+    throw new Error(`Unsupported audio format "${format}" (supported: ${Object.keys(CODECS).join(", ")})`);
+  }
+  return { name, ...codec };
+}
+
+// Throws on an unknown format or one the provider does not speak.
+// Returns { in, out } codecs and `deprecated`: [{ key, value, used }] for legacy values.
+function assertAudioFormats(cfg) {
+  const provider = String(cfg.PROVIDER_MODE || "gemini").toLowerCase();
+  const caps = PROVIDER_AUDIO_FORMATS[provider];
+  const deprecated = [];
+
+  const resolve = (key, dir) => {
+    const value = String(cfg[key] || "").trim().toLowerCase();
+    if (caps && value === LEGACY_FORMAT && !caps[dir].includes(value)) {
+      deprecated.push({ key, value, used: caps.defaults[dir] });
+      return caps.defaults[dir];
+    }
+    return cfg[key];
+  };
+  const inCodec = getCodec(resolve("GEMINI_AUDIO_IN_FORMAT", "in"));
+  const outCodec = getCodec(resolve("GEMINI_AUDIO_OUT_FORMAT", "out"));
+
+  if (caps && !caps.in.includes(inCodec.name)) {
+    throw new Error(`GEMINI_AUDIO_IN_FORMAT=${inCodec.name} is not supported by provider "${provider}" (use: ${caps.in.join(", ")})`);
+  }
+  if (caps && !caps.out.includes(outCodec.name)) {
+    throw new Error(`GEMINI_AUDIO_OUT_FORMAT=${outCodec.name} is not supported by provider "${provider}" (use: ${caps.out.join(", ")})`);
+  }
+  return { in: inCodec, out: outCodec, deprecated };
+}
+
+module.exports = { CODECS, PROVIDER_AUDIO_FORMATS, getCodec, assertAudioFormats };
@@ -0,0 +1,106 @@
+// src/audio/g711.js
+"use strict";
+
+// G.711 μ-law and A-law codecs (Twilio Media Streams carry audio/x-mulaw 8 kHz mono;
+// A-law is the E1 / European trunk variant).
+
+const BIAS = 0x84;
+const CLIP = 32635;
+
+function ulawByteToPcm16(sample) {
+  sample = ~sample & 0xff;
+  const sign = sample & 0x80;
+  const exponent = (sample >> 4) & 0x07;
+  const mantissa = sample & 0x0f;
+  const pcm = (((mantissa << 3) + BIAS) << exponent) - BIAS;
+  return sign ? -pcm : pcm;
+}
+
+function pcm16ToUlawByte(pcm) {
+  let s = pcm | 0;
+  let sign = 0;
+  if (s < 0) {
+    sign = 0x80;
+    s = -s;
+  }
+  if (s > CLIP) s = CLIP;
+  s += BIAS;
+
+  let exponent = 7;
+  for (let expMask = 0x4000; (s & expMask) === 0 && exponent > 0; expMask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (s >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+// Decode table: 256 entries, built once.
+const ULAW_DECODE = new Int16Array(256);
+for (let i = 0; i < 256; i++) ULAW_DECODE[i] = ulawByteToPcm16(i);
+
+// Buffer (μ-law bytes) -> Int16Array
+function decodeUlaw(buf) {
+  const out = new Int16Array(buf.length);
+  for (let i = 0; i < buf.length; i++) out[i] = ULAW_DECODE[buf[i]];
+  return out;
+}
+
+// Int16Array -> Buffer (μ-law bytes)
+function encodeUlaw(samples) {
+  const out = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) out[i] = pcm16ToUlawByte(samples[i]);
+  return out;
+}
+
+function alawByteToPcm16(sample) {
+  const a = sample ^ 0x55;
+  const exponent = (a >> 4) & 0x07;
+  const mantissa = a & 0x0f;
+  let pcm = exponent === 0 ? (mantissa << 4) + 8 : ((mantissa << 4) + 0x108) << (exponent - 1);
+  return a & 0x80 ? pcm : -pcm;
+}
+
+function pcm16ToAlawByte(pcm) {
+  let s = pcm | 0;
+  let sign = 0x80;
+  if (s < 0) {
+    sign = 0;
+    s = -s - 1;
+  }
+  if (s > 32767) s = 32767;
+
+  let exponent = 7;
+  for (let expMask = 0x4000; (s & expMask) === 0 && exponent > 0; expMask >>= 1) {
+    exponent--;
+  }
+  const mantissa = exponent === 0 ? (s >> 4) & 0x0f : (s >> (exponent + 3)) & 0x0f;
+  return (sign | (exponent << 4) | mantissa) ^ 0x55;
+}
+
+const ALAW_DECODE = new Int16Array(256);
+for (let i = 0; i < 256; i++) ALAW_DECODE[i] = alawByteToPcm16(i);
+
+// Buffer (A-law bytes) -> Int16Array
+function decodeAlaw(buf) {
+  const out = new Int16Array(buf.length);
+  for (let i = 0; i < buf.length; i++) out[i] = ALAW_DECODE[buf[i]];
+  return out;
+}
+
+// Int16Array -> Buffer (A-law bytes)
+function encodeAlaw(samples) {
+  const out = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) out[i] = pcm16ToAlawByte(samples[i]);
+  return out;
+}
+
+module.exports = {
+  ulawByteToPcm16,
+  pcm16ToUlawByte,
+  decodeUlaw,
+  encodeUlaw,
+  alawByteToPcm16,
+  pcm16ToAlawByte,
+  decodeAlaw,
+  encodeAlaw
+};
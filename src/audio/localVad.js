@@ -0,0 +1,114 @@
+// src/audio/localVad.js
+"use strict";
+
+// Local voice activity detection on decoded caller PCM (8 kHz, 20 ms frames).
+//
+// Energy based with an adaptive noise floor, so a steady hiss on a mobile line
+// raises the floor instead of reading as speech. Each frame gets a score in [0,1]:
+//   score = (frame dBFS - noise floor dB) / 30 dB, clamped
+// A frame counts as speech when score >= threshold (MB_VAD_THRESHOLD / VAD_THRESHOLD).
+// Speech starts after `prefixMs` of consecutive speech frames and ends after
+// `silenceMs` without one (same meaning as Gemini's prefixPaddingMs / silenceDurationMs).
+
+const SCORE_RANGE_DB = 30;
+const MIN_SPEECH_DBFS = -55; // quieter frames are never speech
+const FLOOR_MIN_DB = -80;
+const FLOOR_MAX_DB = -30;
+const FLOOR_RISE_DB_PER_FRAME = 0.05; // ~2.5 dB/s: follows slow noise changes, not speech
+
+class LocalVad {
+  /**
+   * @param {object} opts
+   * @param {number} [opts.threshold=0.65]
+   * @param {number} [opts.prefixMs=200]
+   * @param {number} [opts.silenceMs=900]
+   * @param {number} [opts.sampleRate=8000]
+   * @param {number} [opts.frameMs=20]
+   * @param {() => void} [opts.onSpeechStart]
+   * @param {() => void} [opts.onSpeechEnd]
+   */
+  constructor({ threshold = 0.65, prefixMs = 200, silenceMs = 900, sampleRate = 8000, frameMs = 20, onSpeechStart, onSpeechEnd }) {
+    this.threshold = Math.min(1, Math.max(0, Number(threshold)));
+    this.prefixMs = Math.max(0, Number(prefixMs) || 0);
+    this.silenceMs = Math.max(frameMs, Number(silenceMs) || 0);
+    this.frameMs = frameMs;
+    this.frameSamples = Math.round((sampleRate * frameMs) / 1000);
+    this.onSpeechStart = onSpeechStart;
+    this.onSpeechEnd = onSpeechEnd;
+
+    this.active = false;
+    this.lastScore = 0;
+    this._floorDb = -60;
+    this._speechRunMs = 0;
+    this._silenceRunMs = 0;
+    this._carry = new Int16Array(0);
+  }
+
+  // Int16Array (any length). Returns true while speech is active.
+  process(samples) {
+    let buf = samples;
+    if (this._carry.length) {
+      buf = new Int16Array(this._carry.length + samples.length);
+      buf.set(this._carry, 0);
+      buf.set(samples, this._carry.length);
+    }
+
+    let off = 0;
+    for (; off + this.frameSamples <= buf.length; off += this.frameSamples) {
+      this._frame(buf.subarray(off, off + this.frameSamples));
+    }
+    this._carry = buf.slice(off);
+    return this.active;
+  }
+
+  // Force the end of an active speech segment (e.g. the stream stopped).
+  end() {
+    if (!this.active) return;
+    this.active = false;
+    this._speechRunMs = 0;
+    this._silenceRunMs = 0;
+    this._emit(this.onSpeechEnd);
+  }
+
+  _frame(frame) {
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+    const rms = Math.sqrt(sum / frame.length);
+    const db = rms > 0 ? 20 * Math.log10(rms / 32768) : -100;
+
+    const score = db < MIN_SPEECH_DBFS ? 0 : Math.min(1, Math.max(0, (db - this._floorDb) / SCORE_RANGE_DB));
+    this.lastScore = score;
+    const speech = score >= this.threshold;
+
+    // Noise floor: drop to quieter frames at once, creep up only on non-speech.
+    if (db < this._floorDb) this._floorDb = Math.max(FLOOR_MIN_DB, db);
+    else if (!speech) this._floorDb = Math.min(FLOOR_MAX_DB, this._floorDb + FLOOR_RISE_DB_PER_FRAME);
+
+    if (speech) {
+      this._speechRunMs += this.frameMs;
+      this._silenceRunMs = 0;
+      if (!this.active && this._speechRunMs >= this.prefixMs) {
+        this.active = true;
+        this._emit(this.onSpeechStart);
+      }
+      return;
+    }
+
+    this._speechRunMs = 0;
+    if (!this.active) return;
+    this._silenceRunMs += this.frameMs;
+    if (this._silenceRunMs >= this.silenceMs) {
+      this.active = false;
+      this._silenceRunMs = 0;
+      this._emit(this.onSpeechEnd);
+    }
+  }
+
+  _emit(fn) {
+    try {
+      if (typeof fn === "function") fn();
+    } catch { /* never break voice */ }
+  }
+}
+
+module.exports = { LocalVad };
@@ -0,0 +1,171 @@
+// src/audio/outboundPacer.js
+"use strict";
+
+// Real-time pacer for bot audio toward Twilio.
+//
+// Gemini delivers audio in bursts, much faster than real time and in arbitrary sizes.
+// The pacer cuts it into fixed μ-law frames (20 ms = 160 bytes at 8 kHz) and sends
+// them on a wall clock, keeping only `leadMs` of audio ahead of the caller's ear in
+// Twilio's own buffer. Everything else waits here, where barge-in can drop it and
+// metrics can see it (depthMs).
+//
+// Marks are queued in order with the audio, so a mark is sent right after the last
+// frame queued before it and Twilio echoes it once that frame was played.
+
+const BYTES_PER_MS = 8; // μ-law 8 kHz mono
+const SILENCE_BYTE = 0xff; // μ-law digital silence
+
+class OutboundPacer {
+  /**
+   * @param {object} opts
+   * @param {(payloadB64:string, info:{playAt:number}) => void} opts.sendMedia  playAt: epoch ms the caller starts hearing the frame
+   * @param {(name:string) => void} [opts.sendMark]
+   * @param {number} [opts.frameMs=20]
+   * @param {number} [opts.leadMs=60]   audio kept buffered at Twilio (absorbs our own timer jitter)
+   * @param {(info:{playoutEndsAt:number}) => void} [opts.onDrained] queue emptied (last frame sent)
+   */
+  constructor({ sendMedia, sendMark, frameMs = 20, leadMs = 60, onDrained }) {
+    this.sendMedia = sendMedia;
+    this.sendMark = sendMark;
+    this.frameMs = Math.max(10, Number(frameMs) || 20);
+    this.frameBytes = this.frameMs * BYTES_PER_MS;
+    this.leadMs = Math.max(0, Number(leadMs) || 0);
+    this.onDrained = onDrained;
+
+    this._queue = []; // { frame: Buffer } | { mark: string }
+    this._queuedFrames = 0;
+    this._partial = Buffer.alloc(0);
+    this._sentUntil = 0; // epoch ms at which the caller finishes hearing what was sent
+    this._timer = null;
+    this._pending = false; // frames were left waiting at the last tick
+    this._stopped = false;
+
+    this.stats = { frames_sent: 0, marks_sent: 0, frames_dropped: 0, underruns: 0 };
+  }
+
+  enqueueAudio(ulawBuf) {
+    if (this._stopped || !ulawBuf || !ulawBuf.length) return;
+    let bytes = this._partial.length ? Buffer.concat([this._partial, ulawBuf]) : ulawBuf;
+    while (bytes.length >= this.frameBytes) {
+      this._queue.push({ frame: Buffer.from(bytes.subarray(0, this.frameBytes)) });
+      this._queuedFrames += 1;
+      bytes = bytes.subarray(this.frameBytes);
+    }
+    this._partial = Buffer.from(bytes);
+    this._kick();
+  }
+
+  // Queued after all complete frames so far; a pending partial frame follows it.
+  enqueueMark(name) {
+    if (this._stopped || !name) return;
+    this._queue.push({ mark: String(name) });
+    this._kick();
+  }
+
+  // End of a bot turn: pad the partial frame with silence so it is not held back.
+  flushTurn() {
+    if (this._stopped || !this._partial.length) return;
+    const frame = Buffer.alloc(this.frameBytes, SILENCE_BYTE);
+    this._partial.copy(frame, 0);
+    this._partial = Buffer.alloc(0);
+    this._queue.push({ frame });
+    this._queuedFrames += 1;
+    this._kick();
+  }
+
+  // Barge-in: drop everything not yet sent. Returns the ms of audio dropped.
+  clear() {
+    const droppedMs = this.depthMs();
+    this.stats.frames_dropped += this._queuedFrames;
+    this._queue = [];
+    this._queuedFrames = 0;
+    this._partial = Buffer.alloc(0);
+    this._sentUntil = Math.min(this._sentUntil, Date.now());
+    this._stopTimer();
+    return droppedMs;
+  }
+
+  stop() {
+    this.clear();
+    this._stopped = true;
+  }
+
+  // Audio waiting here (not yet sent to Twilio).
+  depthMs() {
+    return this._queuedFrames * this.frameMs + this._partial.length / BYTES_PER_MS;
+  }
+
+  // Audio sent to Twilio but not yet played (estimate from the send clock).
+  inFlightMs(now = Date.now()) {
+    return Math.max(0, this._sentUntil - now);
+  }
+
+  // Epoch ms at which the caller will have heard everything queued so far.
+  playoutEndsAt(now = Date.now()) {
+    return Math.max(now, this._sentUntil) + this.depthMs();
+  }
+
+  isIdle() {
+    return !this._queue.length && !this._partial.length;
+  }
+
+  _kick() {
+    if (!this._timer) this._tick();
+  }
+
+  _stopTimer() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    this._pending = false;
+  }
+
+  _tick() {
+    this._timer = null;
+    if (this._stopped) return;
+
+    const now = Date.now();
+    if (this._sentUntil < now) {
+      // Twilio's buffer ran dry (or this is the start of a turn): restart the clock.
+      if (this._pending) this.stats.underruns += 1;
+      this._sentUntil = now;
+    }
+
+    while (this._queue.length) {
+      const head = this._queue[0];
+      if (head.mark !== undefined) {
+        this._queue.shift();
+        this.stats.marks_sent += 1;
+        try {
+          if (this.sendMark) this.sendMark(head.mark);
+        } catch { /* never break voice */ }
+        continue;
+      }
+      if (this._sentUntil - now >= this.leadMs) break;
+
+      this._queue.shift();
+      this._queuedFrames -= 1;
+      const playAt = this._sentUntil;
+      this._sentUntil += this.frameMs;
+      this.stats.frames_sent += 1;
+      try {
+        this.sendMedia(head.frame.toString("base64"), { playAt });
+      } catch { /* never break voice */ }
+    }
+
+    this._pending = this._queue.length > 0;
+    if (this._queue.length) {
+      // Wake up when the lead drops below target, i.e. one frame has been played.
+      const waitMs = Math.max(1, this._sentUntil - this.leadMs - now + 1);
+      this._timer = setTimeout(() => this._tick(), waitMs);
+      return;
+    }
+
+    if (!this._partial.length && typeof this.onDrained === "function") {
+      try {
+        this.onDrained({ playoutEndsAt: this._sentUntil });
+      } catch { /* never break voice */ }
+    }
+  }
+}
+
+module.exports = { OutboundPacer };
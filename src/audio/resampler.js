@@ -0,0 +1,109 @@
+// src/audio/resampler.js
+"use strict";
+
+// Streaming rational resampler (polyphase windowed-sinc FIR, Kaiser window).
+//
+// inRate -> outRate is reduced to L/M (up by L, low-pass, down by M). The low-pass
+// cutoff sits below the lower of the two Nyquist rates, so upsampling does not
+// image and downsampling does not alias. The last taps of input are kept between
+// process() calls, so 20 ms chunks resample exactly like one continuous stream
+// (no clicks at the joins). One instance per direction per call.
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+// Zeroth-order modified Bessel function (Kaiser window).
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+function designLowpass({ length, cutoff, beta }) {
+  const h = new Float64Array(length);
+  const mid = (length - 1) / 2;
+  const i0Beta = besselI0(beta);
+  for (let k = 0; k < length; k++) {
+    const x = k - mid;
+    const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+    const r = mid > 0 ? x / mid : 0;
+    const w = besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / i0Beta;
+    h[k] = sinc * w;
+  }
+  return h;
+}
+
+class StreamingResampler {
+  /**
+   * @param {object} opts
+   * @param {number} opts.inRate
+   * @param {number} opts.outRate
+   * @param {number} [opts.tapsPerPhase=24] FIR taps per polyphase branch (quality vs CPU)
+   * @param {number} [opts.rolloff=0.9]     cutoff as a fraction of the lower Nyquist rate
+   * @param {number} [opts.beta=7]          Kaiser window beta (stopband attenuation)
+   */
+  constructor({ inRate, outRate, tapsPerPhase = 24, rolloff = 0.9, beta = 7 }) {
+    if (!(inRate > 0) || !(outRate > 0)) throw new Error("StreamingResampler: invalid rates");
+    const g = gcd(inRate, outRate);
+    this.inRate = inRate;
+    this.outRate = outRate;
+    this.L = outRate / g;
+    this.M = inRate / g;
+    this.T = tapsPerPhase;
+
+    // Designed at the upsampled rate L*inRate; cutoff in cycles/sample of that rate.
+    const h = designLowpass({ length: this.L * this.T, cutoff: (rolloff * 0.5) / Math.max(this.L, this.M), beta });
+    // DC gain L compensates for the zeros inserted by upsampling.
+    const sum = h.reduce((a, b) => a + b, 0);
+    for (let k = 0; k < h.length; k++) h[k] *= this.L / sum;
+
+    // Polyphase branches: phase p uses h[p], h[p+L], h[p+2L], ...
+    this._phases = [];
+    for (let p = 0; p < this.L; p++) {
+      const taps = new Float64Array(this.T);
+      for (let j = 0; j < this.T; j++) taps[j] = h[p + j * this.L];
+      this._phases.push(taps);
+    }
+
+    this.reset();
+  }
+
+  reset() {
+    this._hist = new Float64Array(this.T - 1);
+    // Next output position, in upsampled samples, relative to the start of [hist, input].
+    this._t = (this.T - 1) * this.L;
+  }
+
+  // Int16Array -> Int16Array
+  process(input) {
+    const n = input.length;
+    const histLen = this.T - 1;
+    const buf = new Float64Array(histLen + n);
+    buf.set(this._hist, 0);
+    for (let i = 0; i < n; i++) buf[histLen + i] = input[i];
+
+    const out = [];
+    let t = this._t;
+    for (;;) {
+      const i0 = Math.floor(t / this.L);
+      if (i0 >= buf.length) break;
+      const taps = this._phases[t - i0 * this.L];
+      let acc = 0;
+      for (let j = 0; j < this.T; j++) acc += taps[j] * buf[i0 - j];
+      out.push(acc > 32767 ? 32767 : acc < -32768 ? -32768 : Math.round(acc));
+      t += this.M;
+    }
+
+    this._t = t - n * this.L;
+    this._hist = buf.slice(buf.length - histLen);
+    return Int16Array.from(out);
+  }
+}
+
+module.exports = { StreamingResampler };
@@ -0,0 +1,81 @@
+// src/audio/twilioGeminiAudio.js
+"use strict";
+
+// Twilio <-> provider audio conversion, one stateful converter per direction per call.
+//   uplink:   Twilio μ-law 8k (base64)          -> provider input format (base64)
+//   downlink: provider output format (base64/Buf) -> Twilio μ-law 8k (base64/Buf)
+// Formats come from the codec registry (audio/codecs); defaults are Gemini's PCM16 16k in,
+// 24k out. μ-law on the provider side is passed through untouched. Resampling is
+// band-limited (audio/resampler) and keeps filter state across frames.
+
+const { decodeUlaw, encodeUlaw } = require("./g711");
+const { getCodec } = require("./codecs");
+const { StreamingResampler } = require("./resampler");
+
+const TWILIO_RATE = 8000;
+const GEMINI_IN_RATE = 16000;
+const GEMINI_OUT_RATE = 24000;
+
+// "audio/pcm;rate=24000" -> 24000 (null when absent)
+function rateFromMimeType(mimeType) {
+  const m = /rate=(\d+)/i.exec(String(mimeType || ""));
+  return m ? Number(m[1]) : null;
+}
+
+function createTwilioToGeminiConverter({ format = "pcm16k" } = {}) {
+  const codec = getCodec(format);
+  const passthrough = codec.encoding === "ulaw";
+  const rs = codec.rate === TWILIO_RATE ? null : new StreamingResampler({ inRate: TWILIO_RATE, outRate: codec.rate });
+
+  return {
+    format: codec.name,
+    mimeType: codec.mimeType,
+    outRate: codec.rate,
+    convert(ulawB64) {
+      if (passthrough) return ulawB64;
+      const pcm8k = decodeUlaw(Buffer.from(ulawB64, "base64"));
+      return codec.encode(rs ? rs.process(pcm8k) : pcm8k).toString("base64");
+    },
+    reset: () => rs && rs.reset()
+  };
+}
+
+// `inRate` overrides the codec rate for PCM (the provider reports it per chunk).
+function createGeminiToTwilioConverter({ format = "pcm24k", inRate } = {}) {
+  const codec = getCodec(format);
+  const passthrough = codec.encoding === "ulaw";
+  const rate = codec.encoding === "pcm16" && inRate ? inRate : codec.rate;
+  const rs = rate === TWILIO_RATE ? null : new StreamingResampler({ inRate: rate, outRate: TWILIO_RATE });
+  // Provider chunks are not guaranteed to end on a sample boundary.
+  let carry = Buffer.alloc(0);
+
+  function convertBuffer(buf) {
+    if (passthrough) return buf;
+    const bytes = carry.length ? Buffer.concat([carry, buf]) : buf;
+    const whole = bytes.length - (bytes.length % codec.bytesPerSample);
+    carry = Buffer.from(bytes.subarray(whole));
+
+    const samples = codec.decode(bytes.subarray(0, whole));
+    return encodeUlaw(rs ? rs.process(samples) : samples);
+  }
+
+  return {
+    format: codec.name,
+    inRate: rate,
+    convertBuffer,
+    convert: (b64) => convertBuffer(Buffer.from(b64, "base64")).toString("base64"),
+    reset() {
+      carry = Buffer.alloc(0);
+      if (rs) rs.reset();
+    }
+  };
+}
+
+module.exports = {
+  TWILIO_RATE,
+  GEMINI_IN_RATE,
+  GEMINI_OUT_RATE,
+  rateFromMimeType,
+  createTwilioToGeminiConverter,
+  createGeminiToTwilioConverter
+};
@@ -0,0 +1,152 @@
+"use strict";
+
+// src/calls/callRegistry.js
+// In-memory registry of live (and recently ended) calls, keyed by CallSid.
+// Fed from two sides:
+// - ws/twilioMediaWs: stream start/stop (owns the GeminiLiveSession)
+// - routes/twilioStatus: Twilio StatusCallback lifecycle (ringing, in-progress, completed, ...)
+// Ended calls are kept for CALL_REGISTRY_RETENTION_MS so late status callbacks still match.
+
+const { requireDeps } = require("../utils/requireDeps");
+
+const TERMINAL_STATUSES = new Set(["completed", "busy", "no-answer", "canceled", "failed"]);
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.has(safeStr(status).toLowerCase());
+}
+
+function createCallRegistry(deps) {
+  const { logger, retentionMs = 10 * 60 * 1000 } = requireDeps("createCallRegistry", deps, ["logger"]);
+
+  // callSid -> entry
+  const CALLS = new Map();
+
+  function prune(now = Date.now()) {
+    for (const [sid, e] of CALLS) {
+      if (e.ended_at_ms && now - e.ended_at_ms > retentionMs) CALLS.delete(sid);
+    }
+  }
+
+  function ensure(callSid) {
+    let e = CALLS.get(callSid);
+    if (e) return e;
+    e = {
+      call_sid: callSid,
+      stream_sid: "",
+      tenant_id: "",
+      caller: "",
+      called: "",
+      status: "",
+      stream_state: "pending", // pending | live | ended
+      started_at: new Date().toISOString(),
+      ended_at: null,
+      ended_at_ms: 0,
+      end_reason: "",
+      duration_sec: null,
+      last_sequence: -1,
+      history: [],
+      session: null
+    };
+    CALLS.set(callSid, e);
+    return e;
+  }
+
+  function maybeEnd(e, reason) {
+    if (e.ended_at_ms) return;
+    if (e.stream_state === "live") return;
+    if (e.stream_state === "pending" && !isTerminalStatus(e.status)) return;
+    e.ended_at_ms = Date.now();
+    e.ended_at = new Date(e.ended_at_ms).toISOString();
+    e.end_reason = e.end_reason || reason;
+    e.session = null;
+  }
+
+  return {
+    startStream({ callSid, streamSid, tenantId, caller, called, session }) {
+      prune();
+      const sid = safeStr(callSid);
+      if (!sid) return null;
+      const e = ensure(sid);
+      e.stream_sid = safeStr(streamSid);
+      e.tenant_id = safeStr(tenantId);
+      e.caller = safeStr(caller) || e.caller;
+      e.called = safeStr(called) || e.called;
+      e.stream_state = "live";
+      e.session = session || null;
+      e.ended_at = null;
+      e.ended_at_ms = 0;
+      return e;
+    },
+
+    endStream(callSid, reason = "stream_stop") {
+      const e = CALLS.get(safeStr(callSid));
+      if (!e || e.stream_state === "ended") return e || null;
+      e.stream_state = "ended";
+      e.end_reason = e.end_reason || reason;
+      maybeEnd(e, reason);
+      return e;
+    },
+
+    /**
+     * applyStatus(callSid, { status, sequence, duration_sec, from, to })
+     * Out-of-order callbacks (lower SequenceNumber) are recorded in history but
+     * do not move `status` backwards.
+     */
+    applyStatus(callSid, { status, sequence, duration_sec, from, to } = {}) {
+      prune();
+      const sid = safeStr(callSid);
+      const st = safeStr(status).toLowerCase();
+      if (!sid || !st) return null;
+
+      const e = ensure(sid);
+      const seq = Number.isFinite(Number(sequence)) && safeStr(sequence) !== "" ? Number(sequence) : null;
+      e.history.push({ status: st, sequence: seq, at: new Date().toISOString() });
+
+      const stale = seq !== null && seq <= e.last_sequence;
+      if (stale) {
+        logger.debug("Stale Twilio status callback ignored", { callSid: sid, status: st, sequence: seq });
+        return e;
+      }
+      if (seq !== null) e.last_sequence = seq;
+
+      e.status = st;
+      e.caller = e.caller || safeStr(from);
+      e.called = e.called || safeStr(to);
+      if (duration_sec !== undefined && duration_sec !== null && safeStr(duration_sec) !== "") {
+        e.duration_sec = Number(duration_sec);
+      }
+      if (isTerminalStatus(st)) maybeEnd(e, `twilio_${st}`);
+      return e;
+    },
+
+    get(callSid) {
+      return CALLS.get(safeStr(callSid)) || null;
+    },
+
+    list({ activeOnly = false } = {}) {
+      prune();
+      const all = Array.from(CALLS.values());
+      return activeOnly ? all.filter((e) => !e.ended_at_ms) : all;
+    },
+
+    activeCount() {
+      let n = 0;
+      for (const e of CALLS.values()) if (e.stream_state === "live") n += 1;
+      return n;
+    }
+  };
+}
+
+// Plain view of an entry (no session object) for logs and JSON responses.
+function callView(e) {
+  if (!e) return null;
+  const { session, ended_at_ms, ...rest } = e;
+  return { ...rest, history: rest.history.slice() };
+}
+
+module.exports = { createCallRegistry, callView, isTerminalStatus };
@@ -0,0 +1,101 @@
+"use strict";
+
+// src/calls/gracefulShutdown.js
+// SIGTERM / SIGINT handling (Render sends SIGTERM on every deploy).
+//
+// 1. Refuse new /twilio-media-stream upgrades; live calls continue.
+// 2. Wait up to SHUTDOWN_DRAIN_MS for live calls to end on their own.
+// 3. Calls still live: apology line + hangup (session.shutdown, finalize reason
+//    `server_shutdown`); after SHUTDOWN_APOLOGY_MS the rest are hung up without it.
+// 4. Wait up to SHUTDOWN_PENDING_TIMEOUT_MS for finalize work and in-flight webhook
+//    attempts; events not yet delivered stay in the outbox for the next process.
+// 5. Close the HTTP server and exit.
+
+const { requireDeps } = require("../utils/requireDeps");
+const { waitForPending, pendingCount } = require("../utils/pendingWork");
+
+function waitUntil(predicate, timeoutMs, pollMs = 250) {
+  return new Promise((resolve) => {
+    const deadline = Date.now() + Math.max(0, Number(timeoutMs) || 0);
+    (function check() {
+      if (predicate()) return resolve(true);
+      if (Date.now() >= deadline) return resolve(false);
+      setTimeout(check, pollMs);
+    })();
+  });
+}
+
+function installGracefulShutdown(deps) {
+  const { server, mediaWs, callRegistry, logger, env } = requireDeps("installGracefulShutdown", deps, [
+    "server",
+    "mediaWs",
+    "callRegistry",
+    "logger",
+    "env"
+  ]);
+  const exit = deps.exit || ((code) => process.exit(code));
+
+  let shuttingDown = false;
+
+  function liveSessions() {
+    return callRegistry
+      .list({ activeOnly: true })
+      .filter((e) => e.stream_state === "live" && e.session)
+      .map((e) => ({ callSid: e.call_sid, session: e.session }));
+  }
+
+  async function shutdown(signal) {
+    if (shuttingDown) {
+      logger.warn("Shutdown already in progress", { signal });
+      return;
+    }
+    shuttingDown = true;
+
+    mediaWs.stopAccepting();
+    logger.info("Shutdown started; draining calls", {
+      signal,
+      active_calls: callRegistry.activeCount(),
+      drain_ms: env.SHUTDOWN_DRAIN_MS
+    });
+
+    const drained = await waitUntil(() => callRegistry.activeCount() === 0, env.SHUTDOWN_DRAIN_MS);
+
+    if (!drained) {
+      const left = liveSessions();
+      logger.warn("Drain window over; ending remaining calls", { calls: left.map((c) => c.callSid) });
+      for (const { session } of left) {
+        try {
+          session.shutdown();
+        } catch { /* never block shutdown on one call */ }
+      }
+
+      const ended = await waitUntil(() => callRegistry.activeCount() === 0, env.SHUTDOWN_APOLOGY_MS);
+      if (!ended) {
+        await Promise.all(
+          liveSessions().map(({ session }) => Promise.resolve(session.endCall("server_shutdown")).catch(() => {}))
+        );
+      }
+    }
+
+    logger.info("Waiting for pending finalize work", { pending: pendingCount() });
+    const { settled, pending } = await waitForPending(env.SHUTDOWN_PENDING_TIMEOUT_MS);
+    if (!settled) logger.warn("Exiting with finalize work still pending", { pending });
+
+    server.close();
+    logger.info("Shutdown complete", { active_calls: callRegistry.activeCount() });
+    exit(0);
+  }
+
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => {
+      shutdown(signal).catch((err) => {
+        logger.error("Shutdown failed", { error: err?.message || String(err) });
+        exit(1);
+      });
+    });
+  }
+
+  return { shutdown };
+}
+
+module.exports = { installGracefulShutdown };
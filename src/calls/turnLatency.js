@@ -0,0 +1,126 @@
+// src/calls/turnLatency.js
+"use strict";
+
+// Per-call latency of the realtime voice loop.
+//
+// Call setup (ms from session start):
+//   ws_open_ms          Gemini WS open
+//   setup_complete_ms   setupComplete received
+//   greeting_audio_ms   first audio byte of the opening greeting
+//   greeting_frame_ms   first greeting frame sent to Twilio
+//
+// Every caller turn (ms from the end of caller speech):
+//   model_ms     first Gemini audio byte of the answer
+//   response_ms  first answer frame sent to Twilio (what the caller waits for)
+//
+// A caller turn still unanswered after MAX_RESPONSE_MS is dropped (counted as unanswered),
+// so a silence prompt or scripted line long after the caller spoke does not skew p95.
+
+const MAX_RESPONSE_MS = 15000;
+
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[idx];
+}
+
+class TurnLatency {
+  /**
+   * @param {object} [opts]
+   * @param {(turn:object) => void} [opts.onTurn]    each measured caller turn
+   * @param {(setup:object) => void} [opts.onSetup]  once the first greeting frame went out
+   * @param {number} [opts.nowMs]                    session start (epoch ms)
+   */
+  constructor({ onTurn, onSetup, nowMs = Date.now() } = {}) {
+    this.onTurn = onTurn;
+    this.onSetup = onSetup;
+    this.startedAt = nowMs;
+    this.setup = { ws_open_ms: null, setup_complete_ms: null, greeting_audio_ms: null, greeting_frame_ms: null };
+    this.turns = []; // { n, speech_end_at, model_ms, response_ms }
+    this.unanswered = 0;
+
+    this._greeting = false;
+    this._pending = null; // { speech_end_at, model_ms }
+  }
+
+  noteWsOpen(now = Date.now()) {
+    this.setup.ws_open_ms = now - this.startedAt;
+  }
+
+  noteSetupComplete(now = Date.now()) {
+    this.setup.setup_complete_ms = now - this.startedAt;
+  }
+
+  noteGreetingSent() {
+    this._greeting = true;
+  }
+
+  // `atMs`: when the caller actually stopped talking (detector hangover already subtracted).
+  noteCallerSpeechEnd(atMs = Date.now()) {
+    this._expire(atMs);
+    if (this._pending) this.unanswered += 1;
+    this._pending = { speech_end_at: atMs, model_ms: null };
+  }
+
+  noteModelAudio(now = Date.now()) {
+    if (this._greeting && this.setup.greeting_audio_ms === null) {
+      this.setup.greeting_audio_ms = now - this.startedAt;
+    }
+    this._expire(now);
+    if (this._pending && this._pending.model_ms === null) {
+      this._pending.model_ms = Math.max(0, now - this._pending.speech_end_at);
+    }
+  }
+
+  noteFrameSent(now = Date.now()) {
+    if (this._greeting && this.setup.greeting_frame_ms === null) {
+      this.setup.greeting_frame_ms = now - this.startedAt;
+      this._greeting = false;
+      this._emit(this.onSetup, { ...this.setup });
+    }
+    this._expire(now);
+    const p = this._pending;
+    if (!p || p.model_ms === null) return;
+
+    this._pending = null;
+    const turn = {
+      n: this.turns.length + 1,
+      speech_end_at: new Date(p.speech_end_at).toISOString(),
+      model_ms: p.model_ms,
+      response_ms: Math.max(0, now - p.speech_end_at)
+    };
+    this.turns.push(turn);
+    this._emit(this.onTurn, turn);
+  }
+
+  summary() {
+    const response = this.turns.map((t) => t.response_ms);
+    const model = this.turns.map((t) => t.model_ms);
+    return {
+      turns: this.turns.length,
+      unanswered_turns: this.unanswered + (this._pending ? 1 : 0),
+      response_p50_ms: percentile(response, 50),
+      response_p95_ms: percentile(response, 95),
+      response_max_ms: response.length ? Math.max(...response) : null,
+      model_p50_ms: percentile(model, 50),
+      model_p95_ms: percentile(model, 95),
+      ...this.setup
+    };
+  }
+
+  _expire(now) {
+    if (this._pending && now - this._pending.speech_end_at > MAX_RESPONSE_MS) {
+      this._pending = null;
+      this.unanswered += 1;
+    }
+  }
+
+  _emit(fn, arg) {
+    try {
+      if (typeof fn === "function") fn(arg);
+    } catch { /* never break voice */ }
+  }
+}
+
+module.exports = { TurnLatency, percentile, MAX_RESPONSE_MS };
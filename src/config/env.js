@@ -18,6 +18,15 @@ function optFloat(name, def) {
   if (Number.isNaN(n)) throw new Error(`Invalid float env var ${name}: ${v}`);
   return n;
 }
+// Every variable under a prefix, keyed by the rest of its name:
+// prefixed("WEBHOOK_SECRET_") with WEBHOOK_SECRET_CRM_KEY=x -> { CRM_KEY: "x" }
+function prefixed(prefix) {
+  const out = {};
+  for (const [k, v] of Object.entries(process.env)) {
+    if (k.startsWith(prefix) && k.length > prefix.length && v !== undefined) out[k.slice(prefix.length)] = v;
+  }
+  return out;
+}
 function optBool(name, def) {
   const v = process.env[name];
   if (v === undefined || v === null || v === "") return def;
@@ -31,9 +40,21 @@ const env = {
   PUBLIC_BASE_URL: opt("PUBLIC_BASE_URL", ""),
 
   // SSOT
+  // Provider: sheets (Google Sheets) | file (local JSON/YAML, watched) | http (HTTPS JSON)
+  SSOT_PROVIDER: opt("SSOT_PROVIDER", "sheets"),
   GSHEET_ID: opt("GSHEET_ID", ""),
   GOOGLE_SERVICE_ACCOUNT_JSON_B64: opt("GOOGLE_SERVICE_ACCOUNT_JSON_B64", ""),
+  SSOT_FILE_PATH: opt("SSOT_FILE_PATH", ""),
+  SSOT_HTTP_URL: opt("SSOT_HTTP_URL", ""),
+  SSOT_HTTP_TOKEN: opt("SSOT_HTTP_TOKEN", ""),
+  SSOT_HTTP_TIMEOUT_MS: optInt("SSOT_HTTP_TIMEOUT_MS", 8000),
   SSOT_TTL_MS: optInt("SSOT_TTL_MS", 60000),
+  // Number of SSOT snapshots kept for /admin/ssot/versions (diff / pin / rollback)
+  SSOT_HISTORY_SIZE: optInt("SSOT_HISTORY_SIZE", 10),
+
+  // Tenants (optional). Without these, one "default" tenant uses the env below.
+  TENANTS_FILE: opt("TENANTS_FILE", ""),
+  TENANTS_JSON: opt("TENANTS_JSON", ""),
 
   // Gemini
   GEMINI_API_KEY: opt("GEMINI_API_KEY", ""),
@@ -41,12 +62,36 @@ const env = {
   GEMINI_LOCATION: opt("GEMINI_LOCATION", "us-central1"),
   GEMINI_PROJECT_ID: opt("GEMINI_PROJECT_ID", ""),
   GEMINI_VERTEX_ENABLED: optBool("GEMINI_VERTEX_ENABLED", false),
-  GEMINI_AUDIO_IN_FORMAT: opt("GEMINI_AUDIO_IN_FORMAT", "ulaw8k"),
-  GEMINI_AUDIO_OUT_FORMAT: opt("GEMINI_AUDIO_OUT_FORMAT", "ulaw8k"),
+  // Provider-side audio: ulaw8k | alaw8k | pcm8k | pcm16k | pcm24k (audio/codecs)
+  GEMINI_AUDIO_IN_FORMAT: opt("GEMINI_AUDIO_IN_FORMAT", "pcm16k"),
+  GEMINI_AUDIO_OUT_FORMAT: opt("GEMINI_AUDIO_OUT_FORMAT", "pcm24k"),
+  // Lead capture via Gemini Live function calling (regex capture stays as fallback)
+  MB_LEAD_TOOLS_ENABLED: optBool("MB_LEAD_TOOLS_ENABLED", true),
+  // Outbound pacing toward Twilio (audio/outboundPacer): frame size and audio kept ahead in Twilio's buffer
+  MB_OUTBOUND_FRAME_MS: optInt("MB_OUTBOUND_FRAME_MS", 20),
+  MB_OUTBOUND_LEAD_MS: optInt("MB_OUTBOUND_LEAD_MS", 60),
 
   // Twilio
   TWILIO_ACCOUNT_SID: opt("TWILIO_ACCOUNT_SID", ""),
   TWILIO_AUTH_TOKEN: opt("TWILIO_AUTH_TOKEN", ""),
+  // Check X-Twilio-Signature on /twilio/status and the media stream WS upgrade.
+  // Default: on when TWILIO_AUTH_TOKEN is set; true without a token fails at startup (server.js).
+  TWILIO_VALIDATE_SIGNATURE: optBool("TWILIO_VALIDATE_SIGNATURE", !!opt("TWILIO_AUTH_TOKEN", "").trim()),
+  // Graceful shutdown (calls/gracefulShutdown): drain window, apology playout, finalize wait
+  SHUTDOWN_DRAIN_MS: optInt("SHUTDOWN_DRAIN_MS", 15000),
+  SHUTDOWN_APOLOGY_MS: optInt("SHUTDOWN_APOLOGY_MS", 8000),
+  SHUTDOWN_PENDING_TIMEOUT_MS: optInt("SHUTDOWN_PENDING_TIMEOUT_MS", 5000),
+
+  // How long ended calls stay in the call registry (late /twilio/status callbacks)
+  CALL_REGISTRY_RETENTION_MS: optInt("CALL_REGISTRY_RETENTION_MS", 600000),
+
+  // Admin auth (/admin/*): bearer token and/or HMAC-signed requests (utils/adminAuth)
+  ADMIN_TOKEN: opt("ADMIN_TOKEN", ""),
+  ADMIN_HMAC_SECRET: opt("ADMIN_HMAC_SECRET", ""),
+  ADMIN_HMAC_MAX_SKEW_SEC: optInt("ADMIN_HMAC_MAX_SKEW_SEC", 300),
+
+  // Optional bearer token for GET /metrics (open when empty)
+  METRICS_TOKEN: opt("METRICS_TOKEN", ""),
 
   // Webhooks
   CALL_LOG_WEBHOOK_URL: opt("CALL_LOG_WEBHOOK_URL", ""),
@@ -56,8 +101,28 @@ const env = {
   FINAL_WEBHOOK_URL: opt("FINAL_WEBHOOK_URL", ""),
   FINAL_ON_STOP: opt("FINAL_ON_STOP", "true") === "true",
   ABANDONED_WEBHOOK_URL: opt("ABANDONED_WEBHOOK_URL", ""),
+  // Outbox (webhooks/outbox): persisted before delivery, exponential backoff, then dead-letter
+  WEBHOOK_OUTBOX_DIR: opt("WEBHOOK_OUTBOX_DIR", "./outbox"),
+  WEBHOOK_MAX_ATTEMPTS: optInt("WEBHOOK_MAX_ATTEMPTS", 8),
+  WEBHOOK_BASE_DELAY_MS: optInt("WEBHOOK_BASE_DELAY_MS", 1000),
+  WEBHOOK_MAX_DELAY_MS: optInt("WEBHOOK_MAX_DELAY_MS", 300000),
+  WEBHOOK_TIMEOUT_MS: optInt("WEBHOOK_TIMEOUT_MS", 7000),
+  // Destinations (URL origins) delivered side by side; each one stays in order
+  WEBHOOK_CONCURRENCY: optInt("WEBHOOK_CONCURRENCY", 4),
+  // HMAC signing (webhooks/signature): per event type, else the shared secret
+  WEBHOOK_SIGNING_SECRET: opt("WEBHOOK_SIGNING_SECRET", ""),
+  WEBHOOK_SIGNING_SECRET_CALL_LOG: opt("WEBHOOK_SIGNING_SECRET_CALL_LOG", ""),
+  WEBHOOK_SIGNING_SECRET_FINAL: opt("WEBHOOK_SIGNING_SECRET_FINAL", ""),
+  WEBHOOK_SIGNING_SECRET_ABANDONED: opt("WEBHOOK_SIGNING_SECRET_ABANDONED", ""),
+  // SSOT WEBHOOKS destinations (webhooks/mapping): ${secret:NAME} in a header -> WEBHOOK_SECRET_<NAME>
+  WEBHOOK_SECRETS: prefixed("WEBHOOK_SECRET_"),
+  // Finalized calls kept for POST /admin/webhooks/dry-run (0 = off)
+  WEBHOOK_SNAPSHOT_MAX: optInt("WEBHOOK_SNAPSHOT_MAX", 500),
 
-  // VAD / Silence (future)
+  // VAD / Silence (silence tiers drive logic/silenceWatchdog)
+  // MB_LOCAL_VAD=true: audio/localVad drives turn-taking (activityStart/End) instead of Gemini's detector.
+  // Threshold and timings can be overridden per business in SSOT SETTINGS (VAD_*).
+  MB_LOCAL_VAD: optBool("MB_LOCAL_VAD", false),
   MB_VAD_PREFIX_MS: optInt("MB_VAD_PREFIX_MS", 200),
   MB_VAD_SILENCE_MS: optInt("MB_VAD_SILENCE_MS", 900),
   MB_VAD_THRESHOLD: optFloat("MB_VAD_THRESHOLD", 0.65),
@@ -69,6 +134,9 @@ const env = {
   SILENCE_PROMPT_2: opt("SILENCE_PROMPT_2", ""),
   SILENCE_PROMPT_3: opt("SILENCE_PROMPT_3", ""),
 
+  // DTMF: a keyed sequence ends with # or after this gap (logic/dtmfInput)
+  DTMF_INTER_DIGIT_MS: optInt("DTMF_INTER_DIGIT_MS", 3000),
+
   // Logs
   MB_DEBUG: optBool("MB_DEBUG", false),
   MB_LOG_TRANSCRIPTS: optBool("MB_LOG_TRANSCRIPTS", true),
@@ -76,16 +144,29 @@ const env = {
   MB_LOG_TURNS_MAX_CHARS: optInt("MB_LOG_TURNS_MAX_CHARS", 900),
   MB_LOG_ASSISTANT_TEXT: optBool("MB_LOG_ASSISTANT_TEXT", false),
 
-  // Lead parser (future)
+  // Post-call lead parser (stage4/postcallLeadParser, run by finalizePipeline)
   LEAD_PARSER_ENABLED: optBool("LEAD_PARSER_ENABLED", true),
+  // postcall | off
   LEAD_PARSER_MODE: opt("LEAD_PARSER_MODE", "postcall"),
   // IMPORTANT: name locked by user; keep as-is. Used by postcallLeadParser.
   LEAD_PARSER_MODEL: opt("LEAD_PARSER_MODEL", ""),
+  // Hard budget: past it FINAL/ABANDONED go out with the deterministic lead
+  LEAD_PARSER_TIMEOUT_MS: optInt("LEAD_PARSER_TIMEOUT_MS", 4000),
+  // crm_short | crm_detailed | none
   LEAD_SUMMARY_STYLE: opt("LEAD_SUMMARY_STYLE", "crm_short"),
 
   // Recording
   // IMPORTANT: name locked by user; keep as-is. Used by ws/twilioMediaWs + stage4/twilioRecordings.
   MB_ENABLE_RECORDING: optBool("MB_ENABLE_RECORDING", false),
+  // Server-side stereo WAV recording (recording/callRecorder), independent of Twilio
+  MB_LOCAL_RECORDING: optBool("MB_LOCAL_RECORDING", false),
+  RECORDING_STORE: opt("RECORDING_STORE", "disk"),
+  RECORDING_LOCAL_DIR: opt("RECORDING_LOCAL_DIR", "./recordings"),
+  MB_RECORDING_MAX_SEC: optInt("MB_RECORDING_MAX_SEC", 3600),
+  // Signed recording proxy URLs (utils/signedUrls); secret falls back to TWILIO_AUTH_TOKEN
+  RECORDING_URL_SECRET: opt("RECORDING_URL_SECRET", ""),
+  RECORDING_URL_TTL_SEC: optInt("RECORDING_URL_TTL_SEC", 604800),
+  // Bot hangs up via Twilio REST once CLOSING_SCRIPT finished playing.
   FORCE_HANGUP_AFTER_CLOSE: optBool("FORCE_HANGUP_AFTER_CLOSE", true),
 
   // Voice (optional)
@@ -0,0 +1,49 @@
+"use strict";
+
+// src/logic/callClosing.js
+// Deterministic "conversation is over" signals (goodbye phrases, closing intents).
+// Kept conservative: a goodbye only counts when it ends a short utterance, so
+// "שלום, יום טוב, אני רוצה לשאול..." does not close the call.
+// Wishes ("ערב טוב", "שבת שלום") double as greetings, so they only count as a goodbye
+// once the lead is captured or the caller has spoken a few times.
+
+const GOODBYE_RE = [
+  /(?:^|\s)(?:ביי|ביי ביי|להתראות|תודה רבה ולהתראות)$/,
+  /(?:^|\s)(?:bye|bye bye|goodbye|good bye|see you)$/i,
+  /(?:^|\s)(?:пока|до свидания)$/i
+];
+
+const WISH_RE = [
+  /(?:^|\s)(?:יום טוב|ערב טוב|לילה טוב|שבוע טוב|שבת שלום)$/,
+  /(?:^|\s)(?:have a nice day)$/i,
+  /(?:^|\s)(?:всего доброго|всего хорошего)$/i
+];
+
+const MAX_GOODBYE_WORDS = 6;
+const MIN_USER_TURNS_FOR_WISH = 3;
+
+const CLOSING_INTENT_TYPES = new Set(["closing", "goodbye", "end_call"]);
+
+/**
+ * isGoodbyeUtterance(text, { userTurns, leadCaptured })
+ * userTurns: caller utterances before this one; leadCaptured: name + subject known.
+ */
+function isGoodbyeUtterance(text, { userTurns = 0, leadCaptured = false } = {}) {
+  const t = String(text || "")
+    .replace(/[.,!?;:"'׳״]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!t) return false;
+  if (t.split(" ").length > MAX_GOODBYE_WORDS) return false;
+  if (GOODBYE_RE.some((re) => re.test(t))) return true;
+  if (!leadCaptured && userTurns < MIN_USER_TURNS_FOR_WISH) return false;
+  return WISH_RE.some((re) => re.test(t));
+}
+
+function isClosingIntent(intent) {
+  const type = String(intent?.intent_type || "").trim().toLowerCase();
+  const id = String(intent?.intent_id || "").trim().toLowerCase();
+  return CLOSING_INTENT_TYPES.has(type) || CLOSING_INTENT_TYPES.has(id);
+}
+
+module.exports = { isGoodbyeUtterance, isClosingIntent };
@@ -0,0 +1,95 @@
+"use strict";
+
+// src/logic/dtmfInput.js
+// DTMF (keypad) input from Twilio media stream `dtmf` events.
+//
+// Collection rules:
+// - digits accumulate; `#` ends the sequence, `*` clears it
+// - a sequence also ends after DTMF_INTER_DIGIT_MS without a key (terminator "timeout")
+// - a one-digit sequence is a menu choice (SSOT SETTINGS DTMF_0..DTMF_9)
+//
+// Menu actions (SETTINGS value):
+//   intent:<intent_id>  caller chose that intent (closing intents end the call)
+//   end_call            close the call (CLOSING_SCRIPT)
+//   repeat              ask the bot to repeat its last message
+//   <any other text>    meaning of the key, passed to the model as is
+
+const DEFAULT_INTER_DIGIT_MS = 3000;
+
+class DtmfCollector {
+  /**
+   * @param {object} opts
+   * @param {number} [opts.interDigitMs]
+   * @param {(seq:{digits:string, terminator:"#"|"timeout"}) => void} opts.onSequence
+   */
+  constructor({ interDigitMs, onSequence }) {
+    this.interDigitMs = Number(interDigitMs) > 0 ? Number(interDigitMs) : DEFAULT_INTER_DIGIT_MS;
+    this.onSequence = onSequence;
+    this.history = []; // { digit, at }
+    this._buf = "";
+    this._timer = null;
+  }
+
+  push(digit) {
+    const d = String(digit || "").trim();
+    if (!/^[0-9*#A-D]$/i.test(d)) return;
+    this.history.push({ digit: d, at: new Date().toISOString() });
+
+    if (d === "*") {
+      this._buf = "";
+      this._clearTimer();
+      return;
+    }
+    if (d === "#") {
+      this._emit("#");
+      return;
+    }
+
+    this._buf += d;
+    this._clearTimer();
+    this._timer = setTimeout(() => this._emit("timeout"), this.interDigitMs);
+    if (typeof this._timer.unref === "function") this._timer.unref();
+  }
+
+  stop() {
+    this._clearTimer();
+    this._buf = "";
+  }
+
+  _clearTimer() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  _emit(terminator) {
+    this._clearTimer();
+    const digits = this._buf;
+    this._buf = "";
+    if (!digits) return;
+    try {
+      if (typeof this.onSequence === "function") this.onSequence({ digits, terminator });
+    } catch { /* never break voice */ }
+  }
+}
+
+function parseMenuAction(value) {
+  const v = String(value || "").trim();
+  if (!v) return null;
+  const m = /^intent:\s*(.+)$/i.exec(v);
+  if (m) return { type: "intent", intent_id: m[1].trim() };
+  if (/^end_call$/i.test(v)) return { type: "end_call" };
+  if (/^repeat$/i.test(v)) return { type: "repeat" };
+  return { type: "text", text: v };
+}
+
+// SETTINGS -> { "1": action, ... } (only configured digits)
+function buildDtmfMenu(settings) {
+  const menu = {};
+  for (let d = 0; d <= 9; d++) {
+    const action = parseMenuAction(settings?.[`DTMF_${d}`]);
+    if (action) menu[String(d)] = action;
+  }
+  return menu;
+}
+
+module.exports = { DtmfCollector, buildDtmfMenu, parseMenuAction };
@@ -0,0 +1,170 @@
+"use strict";
+
+// src/logic/leadTools.js
+// Gemini Live function-calling tools for lead capture.
+// The model calls these once the caller has clearly stated a value; the session
+// writes them into _call.lead (source "tool"), which takes precedence over the
+// regex fallback in _flushTranscript.
+
+const { BUILTIN_FIELDS, FIELD_RE } = require("../stage4/leadRules");
+
+const LEAD_TOOL_DECLARATIONS = [
+  {
+    name: "save_caller_name",
+    description: "Save the caller's full name once they have clearly said it.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        full_name: { type: "STRING", description: "Caller's name as said, in the caller's language." }
+      },
+      required: ["full_name"]
+    }
+  },
+  {
+    name: "save_request_subject",
+    description: "Save a short subject describing what the caller needs.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        subject: { type: "STRING", description: "Short subject of the request (a few words)." }
+      },
+      required: ["subject"]
+    }
+  },
+  {
+    name: "save_callback_number",
+    description: "Save the phone number the business should call back, after repeating it to the caller.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        phone: { type: "STRING", description: "Callback phone number, digits only or E.164." }
+      },
+      required: ["phone"]
+    }
+  },
+  {
+    name: "save_lead_field",
+    description:
+      "Save another detail the business needs for the lead (listed under LEAD_FIELDS), e.g. email or branch.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        field: { type: "STRING", description: "Field name exactly as listed under LEAD_FIELDS." },
+        value: { type: "STRING", description: "The value as the caller gave it." }
+      },
+      required: ["field", "value"]
+    }
+  },
+  {
+    name: "end_call",
+    description: "End the call after the conversation is complete and the caller said goodbye.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        reason: { type: "STRING", description: "Short reason, e.g. 'completed' or 'caller_goodbye'." }
+      }
+    }
+  }
+];
+
+const LEAD_TOOLS_INSTRUCTION = [
+  "TOOLS:",
+  "- Call save_caller_name as soon as the caller clearly says their name.",
+  "- Call save_request_subject once you understand what the caller needs.",
+  "- Call save_callback_number only after repeating the number back to the caller.",
+  "- Call save_lead_field for each field listed under LEAD_FIELDS once the caller gave it.",
+  "- Call end_call only when the conversation is complete.",
+  "- Never mention tools to the caller."
+].join("\n");
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+// Built-ins have their own tools (and normalization); everything else goes to lead.fields.
+const DEDICATED_FIELDS = new Set(BUILTIN_FIELDS);
+
+/**
+ * LEAD_FIELDS block for the system prompt: the extra fields the SSOT LEAD_RULES sheet
+ * asks for (stage4/leadRules). "" when the business only needs the built-ins.
+ */
+function buildLeadFieldsInstruction(leadRules) {
+  const extra = (Array.isArray(leadRules) ? leadRules : []).filter((r) => r?.field && !DEDICATED_FIELDS.has(r.field));
+  if (!extra.length) return "";
+  const lines = extra.map((r) => `- ${r.field}${r.required ? " (required)" : " (optional)"}`);
+  return ["LEAD_FIELDS (ask for these too; save each with save_lead_field):", ...lines].join("\n");
+}
+
+function normalizeCallbackNumber(v) {
+  const s = safeStr(v);
+  if (s.startsWith("+") && s.replace(/\D/g, "").length >= 9) return `+${s.replace(/\D/g, "")}`;
+  const digits = s.replace(/\D/g, "");
+  if (digits.length < 9 || digits.length > 13) return "";
+  if (digits.startsWith("972") && digits.length === 12) return `+${digits}`;
+  if (digits.startsWith("0") && digits.length === 10) return `+972${digits.slice(1)}`;
+  return digits;
+}
+
+/**
+ * applyLeadToolCall(lead, functionCall)
+ * Mutates `lead` and returns { response, action }:
+ * - response: object sent back to Gemini in toolResponse
+ * - action: "end_call" when the model asked to end the call, else null
+ */
+function applyLeadToolCall(lead, functionCall) {
+  const name = safeStr(functionCall?.name);
+  const args = functionCall?.args || {};
+  const sources = lead.sources || (lead.sources = {});
+
+  if (name === "save_caller_name") {
+    const v = safeStr(args.full_name);
+    if (!v) return { response: { ok: false, error: "empty_full_name" }, action: null };
+    lead.full_name = v;
+    lead.awaiting_name = false;
+    sources.full_name = "tool";
+    return { response: { ok: true, full_name: v }, action: null };
+  }
+
+  if (name === "save_request_subject") {
+    const v = safeStr(args.subject);
+    if (!v) return { response: { ok: false, error: "empty_subject" }, action: null };
+    lead.subject = v;
+    sources.subject = "tool";
+    return { response: { ok: true, subject: v }, action: null };
+  }
+
+  if (name === "save_callback_number") {
+    const v = normalizeCallbackNumber(args.phone);
+    if (!v) return { response: { ok: false, error: "invalid_phone" }, action: null };
+    lead.callback_to_number = v;
+    sources.callback_to_number = "tool";
+    return { response: { ok: true, phone: v }, action: null };
+  }
+
+  if (name === "save_lead_field") {
+    const field = safeStr(args.field).toLowerCase();
+    const v = safeStr(args.value);
+    if (!FIELD_RE.test(field)) return { response: { ok: false, error: "invalid_field" }, action: null };
+    if (DEDICATED_FIELDS.has(field)) return { response: { ok: false, error: "use_dedicated_tool" }, action: null };
+    if (!v) return { response: { ok: false, error: "empty_value" }, action: null };
+    const fields = lead.fields || (lead.fields = {});
+    fields[field] = v;
+    sources[field] = "tool";
+    return { response: { ok: true, field, value: v }, action: null };
+  }
+
+  if (name === "end_call") {
+    return { response: { ok: true }, action: "end_call" };
+  }
+
+  return { response: { ok: false, error: "unknown_function" }, action: null };
+}
+
+module.exports = {
+  LEAD_TOOL_DECLARATIONS,
+  LEAD_TOOLS_INSTRUCTION,
+  buildLeadFieldsInstruction,
+  applyLeadToolCall,
+  normalizeCallbackNumber
+};
@@ -0,0 +1,97 @@
+"use strict";
+
+// src/logic/silenceWatchdog.js
+// Per-call silence watchdog (deterministic, timer based).
+//
+// Tiers are cumulative thresholds (SILENCE_T1_MS..T3_MS) measured from the moment
+// both sides went quiet: the last caller speech, or the moment the bot finished
+// playing out its audio. Each tier fires once per silence period; caller speech
+// resets the sequence. A tier's own prompt moves the anchor forward, so the next
+// tier only counts the remaining gap after the prompt has been played.
+// Tiers with no positive threshold are dropped; whichever tier is last after sorting
+// is final (the watchdog stops after it and the session hangs up).
+
+const DEFAULT_TICK_MS = 250;
+
+class SilenceWatchdog {
+  /**
+   * @param {object} opts
+   * @param {Array<{afterMs:number}>} opts.tiers  `final` is set here, on the last tier
+   * @param {(tier:object, index:number) => void} opts.onTier
+   * @param {number} [opts.tickMs]
+   */
+  constructor({ tiers, onTier, tickMs }) {
+    this.tiers = (Array.isArray(tiers) ? tiers : [])
+      .filter((t) => t && Number.isFinite(t.afterMs) && t.afterMs > 0)
+      .sort((a, b) => a.afterMs - b.afterMs)
+      .map((t, i, all) => ({ ...t, final: i === all.length - 1 }));
+    this.onTier = onTier;
+    this.tickMs = Number(tickMs) > 0 ? Number(tickMs) : DEFAULT_TICK_MS;
+
+    this._timer = null;
+    this._lastCallerAt = Date.now();
+    this._botPlayoutUntil = 0;
+    this._nextTier = 0;
+    this._paused = false;
+  }
+
+  start() {
+    if (this._timer || !this.tiers.length) return;
+    this._lastCallerAt = Date.now();
+    this._timer = setInterval(() => this._tick(), this.tickMs);
+    if (typeof this._timer.unref === "function") this._timer.unref();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  // Stop firing tiers (e.g. while the call is being closed) without dropping state.
+  pause() {
+    this._paused = true;
+  }
+
+  resume() {
+    this._paused = false;
+  }
+
+  noteCallerSpeech() {
+    this._lastCallerAt = Date.now();
+    this._nextTier = 0;
+  }
+
+  // `untilMs` is the estimated epoch ms at which the caller stops hearing bot audio.
+  noteBotPlayoutUntil(untilMs) {
+    const n = Number(untilMs);
+    if (Number.isFinite(n) && n > this._botPlayoutUntil) this._botPlayoutUntil = n;
+  }
+
+  _anchor() {
+    return Math.max(this._lastCallerAt, this._botPlayoutUntil);
+  }
+
+  _tick() {
+    if (this._paused) return;
+    const tier = this.tiers[this._nextTier];
+    if (!tier) return;
+
+    const prevAfterMs = this._nextTier > 0 ? this.tiers[this._nextTier - 1].afterMs : 0;
+    const silentMs = Date.now() - this._anchor();
+    if (silentMs < tier.afterMs - prevAfterMs) return;
+
+    const index = this._nextTier;
+    this._nextTier += 1;
+
+    // Count the next gap from now even if the tier produced no bot audio.
+    this._botPlayoutUntil = Math.max(this._botPlayoutUntil, Date.now());
+
+    try {
+      if (typeof this.onTier === "function") this.onTier(tier, index);
+    } catch { /* never break voice */ }
+
+    if (tier.final) this.stop();
+  }
+}
+
+module.exports = { SilenceWatchdog };
@@ -0,0 +1,166 @@
+// src/metrics/metrics.js
+"use strict";
+
+// In-process metrics in the Prometheus text format (served by routes/metrics.js).
+//
+// No client library: counters, gauges and histograms are plain maps keyed by label
+// values, and rendering is one pass over them, so a scrape costs microseconds.
+// Instruments are module singletons (like the logger) because they are fed from deep
+// inside the call path (live session, SSOT stores, finalize).
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels) {
+  return labelNames.map((n) => String(labels?.[n] ?? "")).join("\u0000");
+}
+
+function formatLabels(labelNames, key, extra = "") {
+  const values = key === "" && !labelNames.length ? [] : key.split("\u0000");
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i] ?? "")}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return String(v);
+}
+
+function createMetricsRegistry() {
+  const instruments = [];
+
+  function register(type, name, help, labelNames) {
+    if (instruments.some((i) => i.name === name)) throw new Error(`Metric already registered: ${name}`);
+    const inst = { type, name, help, labelNames: labelNames || [], values: new Map() };
+    instruments.push(inst);
+    return inst;
+  }
+
+  function counter(name, help, labelNames) {
+    const inst = register("counter", name, help, labelNames);
+    return {
+      inc(labels, by = 1) {
+        const key = labelKey(inst.labelNames, labels);
+        inst.values.set(key, (inst.values.get(key) || 0) + by);
+      }
+    };
+  }
+
+  function gauge(name, help, labelNames) {
+    const inst = register("gauge", name, help, labelNames);
+    return {
+      set(labels, value) {
+        inst.values.set(labelKey(inst.labelNames, labels), Number(value));
+      },
+      // Replace every series at once (e.g. per-tenant values computed at scrape time).
+      reset() {
+        inst.values.clear();
+      }
+    };
+  }
+
+  // `buckets`: upper bounds, ascending (+Inf is implicit).
+  function histogram(name, help, labelNames, buckets) {
+    const inst = register("histogram", name, help, labelNames);
+    inst.buckets = [...buckets].sort((a, b) => a - b);
+    return {
+      observe(labels, value) {
+        const v = Number(value);
+        if (!Number.isFinite(v)) return;
+        const key = labelKey(inst.labelNames, labels);
+        let h = inst.values.get(key);
+        if (!h) {
+          h = { counts: new Array(inst.buckets.length).fill(0), sum: 0, count: 0 };
+          inst.values.set(key, h);
+        }
+        for (let i = 0; i < inst.buckets.length; i++) {
+          if (v <= inst.buckets[i]) h.counts[i] += 1;
+        }
+        h.sum += v;
+        h.count += 1;
+      }
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const inst of instruments) {
+      lines.push(`# HELP ${inst.name} ${inst.help}`);
+      lines.push(`# TYPE ${inst.name} ${inst.type}`);
+
+      for (const [key, val] of inst.values) {
+        if (inst.type !== "histogram") {
+          lines.push(`${inst.name}${formatLabels(inst.labelNames, key)} ${formatValue(val)}`);
+          continue;
+        }
+        inst.buckets.forEach((le, i) => {
+          lines.push(`${inst.name}_bucket${formatLabels(inst.labelNames, key, `le="${formatValue(le)}"`)} ${val.counts[i]}`);
+        });
+        lines.push(`${inst.name}_bucket${formatLabels(inst.labelNames, key, 'le="+Inf"')} ${val.count}`);
+        lines.push(`${inst.name}_sum${formatLabels(inst.labelNames, key)} ${val.sum}`);
+        lines.push(`${inst.name}_count${formatLabels(inst.labelNames, key)} ${val.count}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+const LATENCY_BUCKETS_SEC = [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 8, 13];
+
+const registry = createMetricsRegistry();
+
+const metrics = {
+  registry,
+
+  activeCalls: registry.gauge("voicebot_active_calls", "Calls with an open media stream", []),
+
+  // event: connect | close | error
+  geminiWs: registry.counter("voicebot_gemini_ws_events_total", "Gemini Live WebSocket lifecycle events", ["event"]),
+
+  // result: success | failure (one per attempt) | dead_letter (retries exhausted)
+  webhookDeliveries: registry.counter("voicebot_webhook_deliveries_total", "Webhook delivery attempts by event type", [
+    "event_type",
+    "result"
+  ]),
+  // state: pending | dead
+  webhookOutbox: registry.gauge("voicebot_webhook_outbox_events", "Events waiting in the webhook outbox", ["state"]),
+
+  // outcome: FINAL | ABANDONED (decision_reason empty for FINAL)
+  callOutcomes: registry.counter("voicebot_call_outcomes_total", "Finalized calls by lead decision", [
+    "outcome",
+    "decision_reason"
+  ]),
+
+  // result: success | failure (validation or provider error)
+  ssotReloads: registry.counter("voicebot_ssot_reloads_total", "SSOT loads from the source (cache hits excluded)", [
+    "tenant_id",
+    "result"
+  ]),
+  ssotAge: registry.gauge("voicebot_ssot_age_seconds", "Seconds since the active SSOT was loaded", ["tenant_id"]),
+
+  responseLatency: registry.histogram(
+    "voicebot_response_latency_seconds",
+    "End of caller speech to first answer frame sent to Twilio",
+    [],
+    LATENCY_BUCKETS_SEC
+  ),
+  modelLatency: registry.histogram(
+    "voicebot_model_latency_seconds",
+    "End of caller speech to first Gemini audio byte",
+    [],
+    LATENCY_BUCKETS_SEC
+  ),
+  greetingLatency: registry.histogram(
+    "voicebot_greeting_latency_seconds",
+    "Session start to first greeting frame sent to Twilio",
+    [],
+    LATENCY_BUCKETS_SEC
+  )
+};
+
+module.exports = { metrics, createMetricsRegistry };
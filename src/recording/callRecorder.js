@@ -0,0 +1,186 @@
+// src/recording/callRecorder.js
+"use strict";
+
+// Per-call stereo recorder fed by the media WS handler.
+//   left  = caller (Twilio inbound μ-law, placed by media.timestamp)
+//   right = bot    (μ-law frames placed at the time the caller heard them)
+// Recent audio is kept as μ-law segments (late caller packets, barge-in truncation);
+// anything older than FLUSH_HORIZON_MS is rendered to 16-bit PCM and appended to a
+// temp WAV file, so memory stays flat however long the call. finish() writes the
+// header and hands back the file.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { decodeUlaw } = require("../audio/g711");
+const { WAV_HEADER_BYTES, stereoWavHeader, interleaveStereo } = require("./wav");
+
+const SAMPLE_RATE = 8000;
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+// Audio older than this is final: caller packets arrive in order, bot audio is only
+// ever cut at "now" (barge-in).
+const FLUSH_HORIZON_MS = 5000;
+const FLUSH_CHUNK_SAMPLES = SAMPLE_RATE; // write about once per second of audio
+
+class CallRecorder {
+  /**
+   * @param {object} opts
+   * @param {number} [opts.startedAtMs] epoch ms of the stream start (timeline zero)
+   * @param {number} [opts.maxSec=3600] audio past this point is dropped
+   * @param {string} [opts.tmpDir] where the WAV is built (default: OS temp dir)
+   * @param {() => number} [opts.now] clock (epoch ms)
+   */
+  constructor({ startedAtMs = Date.now(), maxSec = 3600, tmpDir = os.tmpdir(), now = Date.now } = {}) {
+    this.startedAtMs = startedAtMs;
+    this.maxSamples = Math.max(1, Number(maxSec) || 3600) * SAMPLE_RATE;
+    this.tmpDir = tmpDir;
+    this._now = now;
+    this._caller = [];
+    this._bot = [];
+    this._callerNextSample = 0;
+    // samples [0, _flushed) are in the temp file
+    this._flushed = 0;
+    this._end = 0;
+    this._file = null;
+    this._out = null;
+    this._writeError = null;
+    this._closed = false;
+  }
+
+  // `streamMs`: Twilio media.timestamp (ms since stream start); arrival time when absent.
+  addCaller(ulawBuf, streamMs) {
+    if (this._closed || !ulawBuf?.length) return;
+    const ms = Number(streamMs);
+    const start = Number.isFinite(ms) ? Math.round(ms * SAMPLES_PER_MS) : this._nowSample();
+    this._push(this._caller, start, ulawBuf);
+    this._callerNextSample = start + ulawBuf.length;
+    this._maybeFlush();
+  }
+
+  // `playAtMs`: epoch ms at which the caller starts hearing this audio.
+  addBot(ulawBuf, playAtMs = this._now()) {
+    if (this._closed || !ulawBuf?.length) return;
+    this._push(this._bot, Math.round((playAtMs - this.startedAtMs) * SAMPLES_PER_MS), ulawBuf);
+    this._maybeFlush();
+  }
+
+  // Barge-in: Twilio dropped what it had not played yet; cut the bot channel at `atMs`.
+  truncateBot(atMs = this._now()) {
+    const cut = Math.max(this._flushed, Math.round((atMs - this.startedAtMs) * SAMPLES_PER_MS));
+    this._bot = this._bot
+      .filter((seg) => seg.start < cut)
+      .map((seg) => (seg.start + seg.data.length > cut ? { start: seg.start, data: seg.data.subarray(0, cut - seg.start) } : seg));
+    this._end = Math.max(this._flushed, this._segmentsEnd());
+  }
+
+  durationMs() {
+    return Math.round(this._end / SAMPLES_PER_MS);
+  }
+
+  /**
+   * Stops accepting audio and completes the WAV.
+   * Resolves to { filePath, bytes } (the caller owns the file), or null when nothing was recorded.
+   */
+  async finish() {
+    this._closed = true;
+    const total = this._end;
+    if (!total) {
+      await this.discard();
+      return null;
+    }
+    try {
+      this._flushUntil(total);
+      await new Promise((resolve) => this._out.end(resolve));
+      if (this._writeError) throw this._writeError;
+      const dataBytes = total * 4;
+      const fh = await fs.promises.open(this._file, "r+");
+      try {
+        await fh.write(stereoWavHeader(dataBytes, SAMPLE_RATE), 0, WAV_HEADER_BYTES, 0);
+      } finally {
+        await fh.close();
+      }
+      return { filePath: this._file, bytes: WAV_HEADER_BYTES + dataBytes };
+    } catch (e) {
+      await this.discard();
+      throw e;
+    }
+  }
+
+  // Drops the temp file (unfinished recording, or after the store took a copy).
+  async discard() {
+    this._closed = true;
+    if (this._out && !this._out.closed) this._out.destroy();
+    if (!this._file) return;
+    try {
+      await fs.promises.unlink(this._file);
+    } catch (e) {
+      if (e?.code !== "ENOENT") throw e;
+    }
+  }
+
+  _nowSample() {
+    return Math.max(this._callerNextSample, Math.round((this._now() - this.startedAtMs) * SAMPLES_PER_MS));
+  }
+
+  _push(list, start, data) {
+    // Already written (a very late packet): keep only the part that is not.
+    let s = Math.max(0, start);
+    let d = data;
+    if (s < this._flushed) {
+      d = d.subarray(Math.min(d.length, this._flushed - s));
+      s = this._flushed;
+    }
+    if (!d.length || s >= this.maxSamples) return;
+    const seg = { start: s, data: Buffer.from(d.subarray(0, this.maxSamples - s)) };
+    list.push(seg);
+    this._end = Math.max(this._end, seg.start + seg.data.length);
+  }
+
+  _segmentsEnd() {
+    let end = 0;
+    for (const seg of this._caller) end = Math.max(end, seg.start + seg.data.length);
+    for (const seg of this._bot) end = Math.max(end, seg.start + seg.data.length);
+    return end;
+  }
+
+  _maybeFlush() {
+    const until = Math.min(this._end, this._nowSample() - FLUSH_HORIZON_MS * SAMPLES_PER_MS);
+    if (until - this._flushed >= FLUSH_CHUNK_SAMPLES) this._flushUntil(until);
+  }
+
+  // Renders [_flushed, until) to PCM, appends it to the temp file and drops finished segments.
+  _flushUntil(until) {
+    if (until <= this._flushed) return;
+    if (!this._out) {
+      fs.mkdirSync(this.tmpDir, { recursive: true });
+      this._file = path.join(this.tmpDir, `rec-${process.pid}-${crypto.randomBytes(6).toString("hex")}.wav.tmp`);
+      this._out = fs.createWriteStream(this._file);
+      // Reported by finish(); a full disk must not take the call down.
+      this._out.on("error", (e) => {
+        this._writeError = this._writeError || e;
+      });
+      this._out.write(Buffer.alloc(WAV_HEADER_BYTES)); // header goes in at finish()
+    }
+
+    const from = this._flushed;
+    const n = until - from;
+    const render = (segs) => {
+      const pcm = new Int16Array(n);
+      for (const seg of segs) {
+        const a = Math.max(seg.start, from);
+        const b = Math.min(seg.start + seg.data.length, until);
+        if (b > a) pcm.set(decodeUlaw(seg.data.subarray(a - seg.start, b - seg.start)), a - from);
+      }
+      return pcm;
+    };
+    this._out.write(interleaveStereo(render(this._caller), render(this._bot)));
+
+    this._flushed = until;
+    const keep = (seg) => seg.start + seg.data.length > until;
+    this._caller = this._caller.filter(keep);
+    this._bot = this._bot.filter(keep);
+  }
+}
+
+module.exports = { CallRecorder, SAMPLE_RATE };
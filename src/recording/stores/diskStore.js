@@ -0,0 +1,58 @@
+"use strict";
+
+// Local disk recording store: <dir>/<key>.wav
+// Keys are CallSids (or StreamSids); anything outside [A-Za-z0-9_-] is rejected
+// so a key can never escape the directory.
+
+const fs = require("fs");
+const path = require("path");
+
+const KEY_RE = /^[A-Za-z0-9_-]{1,128}$/;
+
+function createDiskStore({ dir }) {
+  const root = path.resolve(String(dir || "").trim() || "recordings");
+
+  function fileFor(key) {
+    if (!KEY_RE.test(String(key || ""))) throw new Error(`Invalid recording key: ${key}`);
+    return path.join(root, `${key}.wav`);
+  }
+
+  return {
+    name: "disk",
+
+    // `filePath`: a finished file to move in (recording/callRecorder); else `buffer`.
+    async save({ key, buffer, filePath }) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(root, { recursive: true });
+      // Write then rename so a reader never sees a half-written file.
+      const tmp = `${file}.${process.pid}.tmp`;
+      if (filePath) {
+        try {
+          await fs.promises.rename(filePath, tmp);
+        } catch (e) {
+          if (e?.code !== "EXDEV") throw e;
+          await fs.promises.copyFile(filePath, tmp); // temp dir on another device
+        }
+      } else {
+        await fs.promises.writeFile(tmp, buffer);
+      }
+      await fs.promises.rename(tmp, file);
+      const { size } = await fs.promises.stat(file);
+      return { key, bytes: size, location: file };
+    },
+
+    // -> { stream, size } | null
+    async open(key) {
+      const file = fileFor(key);
+      try {
+        const st = await fs.promises.stat(file);
+        return { stream: fs.createReadStream(file), size: st.size };
+      } catch (e) {
+        if (e?.code === "ENOENT") return null;
+        throw e;
+      }
+    }
+  };
+}
+
+module.exports = { createDiskStore };
@@ -0,0 +1,26 @@
+"use strict";
+
+// Recording store selection (RECORDING_STORE).
+// Every store exposes:
+//   { name, save({ key, buffer | filePath, contentType }): Promise<{ key, bytes, location }>,
+//     open(key): Promise<{ stream, size } | null> }
+// Built in: "disk". Other backends (S3, GCS, ...) plug in with registerRecordingStore().
+
+const { createDiskStore } = require("./diskStore");
+
+const FACTORIES = new Map([["disk", (cfg) => createDiskStore({ dir: cfg.RECORDING_LOCAL_DIR })]]);
+
+function registerRecordingStore(name, factory) {
+  const kind = String(name || "").trim().toLowerCase();
+  if (!kind || typeof factory !== "function") throw new Error("registerRecordingStore(name, factory) requires both");
+  FACTORIES.set(kind, factory);
+}
+
+function createRecordingStore(cfg) {
+  const kind = String(cfg?.RECORDING_STORE || "disk").trim().toLowerCase();
+  const factory = FACTORIES.get(kind);
+  if (!factory) throw new Error(`Unknown RECORDING_STORE: ${kind}`);
+  return factory(cfg);
+}
+
+module.exports = { createRecordingStore, registerRecordingStore };
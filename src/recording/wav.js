@@ -0,0 +1,40 @@
+// src/recording/wav.js
+"use strict";
+
+// Minimal RIFF/WAVE (PCM 16-bit little-endian, stereo) pieces for a streamed file:
+// the header is written last, once the data size is known.
+
+const WAV_HEADER_BYTES = 44;
+
+function stereoWavHeader(dataBytes, sampleRate) {
+  const buf = Buffer.alloc(WAV_HEADER_BYTES);
+  buf.write("RIFF", 0, "ascii");
+  buf.writeUInt32LE(36 + dataBytes, 4);
+  buf.write("WAVE", 8, "ascii");
+  buf.write("fmt ", 12, "ascii");
+  buf.writeUInt32LE(16, 16); // fmt chunk size
+  buf.writeUInt16LE(1, 20); // PCM
+  buf.writeUInt16LE(2, 22); // channels
+  buf.writeUInt32LE(sampleRate, 24);
+  buf.writeUInt32LE(sampleRate * 4, 28); // byte rate
+  buf.writeUInt16LE(4, 32); // block align
+  buf.writeUInt16LE(16, 34); // bits per sample
+  buf.write("data", 36, "ascii");
+  buf.writeUInt32LE(dataBytes, 40);
+  return buf;
+}
+
+// left/right: Int16Array of equal length -> interleaved L/R sample data
+function interleaveStereo(left, right) {
+  const frames = Math.max(left.length, right.length);
+  const buf = Buffer.alloc(frames * 4);
+  let o = 0;
+  for (let i = 0; i < frames; i++) {
+    buf.writeInt16LE(left[i] || 0, o);
+    buf.writeInt16LE(right[i] || 0, o + 2);
+    o += 4;
+  }
+  return buf;
+}
+
+module.exports = { WAV_HEADER_BYTES, stereoWavHeader, interleaveStereo };
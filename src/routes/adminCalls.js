@@ -0,0 +1,63 @@
+"use strict";
+
+const express = require("express");
+const { requireDeps } = require("../utils/requireDeps");
+const { callView } = require("../calls/callRegistry");
+
+// Live calls admin API (call registry + the session's live state).
+//   GET  /admin/calls               -> active calls (?all=1 includes recently ended ones)
+//   GET  /admin/calls/:sid          -> one call, with status history
+//   POST /admin/calls/:sid/hangup   -> hang up now; finalized through the normal path
+// Live state: caller, duration, lead fields so far, last intent, transcript length,
+// outbound audio queue and latency. Transcript text is not exposed here.
+
+function liveView(e, { withHistory = false } = {}) {
+  const view = callView(e);
+  if (!withHistory) delete view.history;
+
+  let live = null;
+  if (e.session && typeof e.session.getLiveState === "function") {
+    try {
+      live = e.session.getLiveState();
+    } catch { /* best-effort view */ }
+  }
+  return { ...view, live };
+}
+
+function adminCallsRouter(deps) {
+  const { callRegistry, logger } = requireDeps("adminCallsRouter", deps, ["callRegistry", "logger"]);
+  const router = express.Router();
+
+  router.get("/admin/calls", (req, res) => {
+    const all = ["1", "true"].includes(String(req.query?.all || "").toLowerCase());
+    const calls = callRegistry.list({ activeOnly: !all }).map((e) => liveView(e));
+    return res.json({ ok: true, active_calls: callRegistry.activeCount(), calls });
+  });
+
+  router.get("/admin/calls/:sid", (req, res) => {
+    const e = callRegistry.get(req.params.sid);
+    if (!e) return res.status(404).json({ ok: false, error: "call_not_found" });
+    return res.json({ ok: true, call: liveView(e, { withHistory: true }) });
+  });
+
+  router.post("/admin/calls/:sid/hangup", (req, res) => {
+    const e = callRegistry.get(req.params.sid);
+    if (!e) return res.status(404).json({ ok: false, error: "call_not_found" });
+    if (e.stream_state !== "live" || !e.session) {
+      return res.status(409).json({ ok: false, error: "call_not_live", stream_state: e.stream_state });
+    }
+
+    const reason = "admin_hangup";
+    logger.info("Admin hangup requested", { callSid: e.call_sid });
+    // Twilio REST hangup, then session stop -> finalize (FINAL/ABANDONED as usual).
+    Promise.resolve(e.session.endCall(reason)).catch((err) => {
+      logger.warn("Admin hangup failed", { callSid: e.call_sid, error: err?.message || String(err) });
+    });
+
+    return res.status(202).json({ ok: true, call_sid: e.call_sid, reason });
+  });
+
+  return router;
+}
+
+module.exports = { adminCallsRouter };
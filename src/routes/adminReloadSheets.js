@@ -1,30 +1,70 @@
 "use strict";
 
 const express = require("express");
+const { requireDeps } = require("../utils/requireDeps");
 
 // POST /admin/reload-sheets
-// Forces SSOT reload from Google Sheets.
-// Returns basic diagnostics so you can see it worked in Render logs.
+// Forces SSOT reload from the configured provider (Google Sheets / file / HTTP).
+// Returns basic diagnostics so you can see it worked in Render logs, plus the
+// validation report ({ errors, warnings }). A reload with validation errors is
+// rejected with 422 and the previous good SSOT stays active.
+// Multi-tenant: ?tenant=<tenant_id> (or body.tenant) selects the tenant; default tenant otherwise.
+
+function validationOf(report) {
+  if (!report) return null;
+  return { errors: report.errors || [], warnings: report.warnings || [] };
+}
+
+function adminReloadRouter(deps) {
+  const { ssotClient } = requireDeps("adminReloadRouter", deps, ["ssotClient"]);
+  if (typeof ssotClient.loadSSOT !== "function") throw new Error("adminReloadRouter: ssotClient.loadSSOT is not a function");
 
-function adminReloadRouter(ssotClient) {
   const router = express.Router();
 
   router.post("/admin/reload-sheets", async (req, res) => {
     try {
-      if (!ssotClient || typeof ssotClient.loadSSOT !== "function") {
-        return res.status(500).json({ ok: false, error: "SSOT client not available" });
-      }
+      const tenantId = String(req.query?.tenant || req.body?.tenant || "").trim() || undefined;
 
       const t0 = Date.now();
-      const ssot = await ssotClient.loadSSOT(true); // force reload
+      const ssot = await ssotClient.loadSSOT(true, tenantId); // force reload
       const ms = Date.now() - t0;
 
       const settings_keys = Object.keys(ssot?.settings || {}).length;
       const prompts_keys = Object.keys(ssot?.prompts || {}).length;
       const intents = Array.isArray(ssot?.intents) ? ssot.intents.length : 0;
+      const lead_rules = Array.isArray(ssot?.lead_rules) ? ssot.lead_rules.length : 0;
+      const webhooks = Array.isArray(ssot?.webhooks) ? ssot.webhooks.length : 0;
 
-      return res.json({ ok: true, ms, settings_keys, prompts_keys, intents });
+      const report =
+        typeof ssotClient.getSSOTValidationReport === "function" ? ssotClient.getSSOTValidationReport(tenantId) : null;
+
+      return res.json({
+        ok: true,
+        tenant_id: ssot?.tenant_id || null,
+        ms,
+        source: ssot?.source || null,
+        settings_keys,
+        prompts_keys,
+        intents,
+        lead_rules,
+        webhooks,
+        validation: validationOf(report)
+      });
     } catch (e) {
+      if (e?.code === "TENANT_NOT_FOUND") {
+        return res.status(404).json({ ok: false, error: e.message });
+      }
+      if (e?.code === "SSOT_VALIDATION_FAILED") {
+        const active = typeof ssotClient.getSSOT === "function" ? ssotClient.getSSOT(e.report?.tenant_id) : null;
+        return res.status(422).json({
+          ok: false,
+          tenant_id: e.report?.tenant_id || null,
+          error: e.message,
+          kept_previous: true,
+          active_loaded_at: active?.loaded_at || null,
+          validation: validationOf(e.report)
+        });
+      }
       return res.status(500).json({ ok: false, error: e.message || String(e) });
     }
   });
@@ -0,0 +1,107 @@
+"use strict";
+
+const express = require("express");
+const { diffSSOT } = require("../ssot/ssotDiff");
+const { requireDeps } = require("../utils/requireDeps");
+
+// SSOT version history admin API.
+//   GET  /admin/ssot/versions                 -> list (metadata only)
+//   GET  /admin/ssot/versions/:version        -> full snapshot
+//   GET  /admin/ssot/diff?from=<v>&to=<v>     -> diff (to defaults to the active version)
+//   POST /admin/ssot/rollback { version }     -> activate until the source content changes
+//   POST /admin/ssot/pin      { version }     -> activate and hold across reloads
+//   POST /admin/ssot/unpin                    -> release pin, activate newest
+// All endpoints take ?tenant=<tenant_id> (or body.tenant); default tenant otherwise.
+
+function adminSsotVersionsRouter(deps) {
+  const { ssotClient } = requireDeps("adminSsotVersionsRouter", deps, ["ssotClient"]);
+  const router = express.Router();
+
+  function tenantOf(req) {
+    return String(req.query?.tenant || req.body?.tenant || "").trim() || undefined;
+  }
+
+  function sendError(res, e) {
+    if (e?.code === "SSOT_VERSION_NOT_FOUND" || e?.code === "TENANT_NOT_FOUND") {
+      return res.status(404).json({ ok: false, error: e.message });
+    }
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+
+  function activeSummary(ssot) {
+    return { tenant_id: ssot?.tenant_id ?? null, version: ssot?.version ?? null, hash: ssot?.hash ?? null, loaded_at: ssot?.loaded_at ?? null };
+  }
+
+  router.get("/admin/ssot/versions", (req, res) => {
+    try {
+      return res.json({ ok: true, ...ssotClient.listSSOTVersions(tenantOf(req)) });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.get("/admin/ssot/versions/:version", (req, res) => {
+    try {
+      const entry = ssotClient.getSSOTVersion(req.params.version, tenantOf(req));
+      if (!entry) return res.status(404).json({ ok: false, error: `Unknown SSOT version: ${req.params.version}` });
+      return res.json({ ok: true, ...entry });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.get("/admin/ssot/diff", (req, res) => {
+    try {
+      const tenantId = tenantOf(req);
+      const fromV = req.query.from;
+      const toV = req.query.to ?? ssotClient.getSSOT(tenantId)?.version;
+      if (fromV === undefined) return res.status(400).json({ ok: false, error: "missing ?from=<version>" });
+
+      const from = ssotClient.getSSOTVersion(fromV, tenantId);
+      const to = ssotClient.getSSOTVersion(toV, tenantId);
+      if (!from || !to) {
+        return res.status(404).json({ ok: false, error: `Unknown SSOT version: ${!from ? fromV : toV}` });
+      }
+
+      return res.json({
+        ok: true,
+        from: { version: from.version, hash: from.hash, loaded_at: from.loaded_at },
+        to: { version: to.version, hash: to.hash, loaded_at: to.loaded_at },
+        diff: diffSSOT(from, to)
+      });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.post("/admin/ssot/rollback", (req, res) => {
+    try {
+      const ssot = ssotClient.rollbackSSOT(req.body?.version, tenantOf(req));
+      return res.json({ ok: true, active: activeSummary(ssot), pinned: false });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.post("/admin/ssot/pin", (req, res) => {
+    try {
+      const ssot = ssotClient.pinSSOT(req.body?.version, tenantOf(req));
+      return res.json({ ok: true, active: activeSummary(ssot), pinned: true });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.post("/admin/ssot/unpin", (req, res) => {
+    try {
+      const ssot = ssotClient.unpinSSOT(tenantOf(req));
+      return res.json({ ok: true, active: activeSummary(ssot), pinned: false });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { adminSsotVersionsRouter };
@@ -0,0 +1,163 @@
+"use strict";
+
+const express = require("express");
+const { requireDeps } = require("../utils/requireDeps");
+const { getTenant } = require("../tenants/tenantRegistry");
+const { parseSSOTRows } = require("../ssot/ssotSchema");
+const { documentToRows } = require("../ssot/providers/normalize");
+const { destinationsFor } = require("../webhooks/mapping");
+const { renderEvent } = require("../webhooks/deliver");
+
+// Webhook outbox admin API (webhooks/outbox).
+//   GET  /admin/webhooks?state=pending|dead   -> records, metadata only (default: pending)
+//   GET  /admin/webhooks/:id                  -> one record with its payload
+//   POST /admin/webhooks/:id/replay           -> dead: requeue with a fresh retry budget; pending: send now
+//   POST /admin/webhooks/replay-dead          -> requeue every dead record
+//   POST /admin/webhooks/dry-run              -> render destinations for a stored call; sends nothing
+//        body: { call_sid, event_type?, destination_id?, destination? }
+//        destination: an unsaved WEBHOOKS row ({ url, format, template, headers }) to try out;
+//        otherwise the tenant's active SSOT WEBHOOKS (optionally just destination_id).
+//        Headers are shown with ${secret:NAME} references unexpanded.
+
+const DRY_RUN_ID = "dry_run";
+
+// Ad-hoc destination through the same validation as the WEBHOOKS sheet.
+function parseAdHocDestination(dest, eventType) {
+  const { data, report } = parseSSOTRows(
+    documentToRows({ webhooks: [{ ...dest, destination_id: DRY_RUN_ID, event_type: eventType }] })
+  );
+  const errors = report.errors.filter((e) => e.sheet === "WEBHOOKS");
+  return { destination: errors.length ? null : data.webhooks[0], errors };
+}
+
+function adminWebhooksRouter(deps) {
+  const { env, webhookOutbox, webhookSnapshots, ssotClient } = requireDeps("adminWebhooksRouter", deps, [
+    "env",
+    "webhookOutbox",
+    "webhookSnapshots",
+    "ssotClient"
+  ]);
+  const router = express.Router();
+
+  function sendError(res, e) {
+    if (/Invalid (outbox id|snapshot key)/.test(e?.message || "")) return res.status(400).json({ ok: false, error: e.message });
+    if (e?.code === "TENANT_NOT_FOUND") return res.status(404).json({ ok: false, error: e.message });
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+
+  router.get("/admin/webhooks", async (req, res) => {
+    const state = String(req.query?.state || "pending").toLowerCase();
+    if (state !== "pending" && state !== "dead") {
+      return res.status(400).json({ ok: false, error: "state must be pending or dead" });
+    }
+    try {
+      const records = await webhookOutbox.list(state);
+      return res.json({ ok: true, state, ...webhookOutbox.stats(), records });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  // Registered before /:id routes so "replay-dead" is not taken for an id.
+  router.post("/admin/webhooks/replay-dead", async (req, res) => {
+    try {
+      const dead = await webhookOutbox.list("dead");
+      const replayed = [];
+      for (const rec of dead) {
+        if (await webhookOutbox.replay(rec.id)) replayed.push(rec.id);
+      }
+      return res.json({ ok: true, replayed });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.post("/admin/webhooks/dry-run", async (req, res) => {
+    const body = req.body || {};
+    const callSid = String(body.call_sid || "").trim();
+    if (!callSid) return res.status(400).json({ ok: false, error: "call_sid is required" });
+    if (!webhookSnapshots.enabled) return res.status(409).json({ ok: false, error: "snapshots_disabled" });
+
+    try {
+      const snap = await webhookSnapshots.get(callSid);
+      if (!snap) return res.status(404).json({ ok: false, error: "call_not_found" });
+
+      const stored = Object.keys(snap.events || {});
+      // Default: the call's outcome event, else whatever was stored.
+      const eventType =
+        String(body.event_type || "").trim().toUpperCase() ||
+        stored.find((t) => t === "FINAL" || t === "ABANDONED") ||
+        stored[0];
+      const event = snap.events?.[eventType];
+      if (!event) return res.status(404).json({ ok: false, error: "event_not_found", stored_events: stored });
+
+      let destinations;
+      let ssotVersion = null;
+      if (body.destination && typeof body.destination === "object") {
+        const adHoc = parseAdHocDestination(body.destination, eventType);
+        if (!adHoc.destination) return res.status(400).json({ ok: false, error: "invalid_destination", errors: adHoc.errors });
+        destinations = [adHoc.destination];
+      } else {
+        const ssot = ssotClient.getSSOT(snap.tenant_id || undefined);
+        ssotVersion = ssot?.version ?? null;
+        destinations = destinationsFor(ssot?.webhooks, eventType);
+        const only = String(body.destination_id || "").trim();
+        if (only) {
+          destinations = destinations.filter((d) => d.destination_id === only);
+          if (!destinations.length) return res.status(404).json({ ok: false, error: "destination_not_found" });
+        }
+      }
+
+      // Same rendering as live delivery (webhooks/deliver); a failing destination shows its error.
+      const cfg = getTenant(snap.tenant_id)?.env || env;
+      const rendered = renderEvent({
+        event_type: eventType,
+        event_id: event.event_id,
+        tenant_id: snap.tenant_id,
+        payload: event.payload,
+        call: snap.call,
+        lead: snap.lead,
+        destinations,
+        timeZone: cfg.TIME_ZONE
+      });
+
+      return res.json({
+        ok: true,
+        call_sid: callSid,
+        tenant_id: snap.tenant_id || null,
+        event_type: eventType,
+        event_id: event.event_id,
+        ssot_version: ssotVersion,
+        // The built-in payload, as sent to the env / tenant URL
+        builtin: { url: cfg[`${eventType}_WEBHOOK_URL`] || null, payload: event.payload },
+        rendered
+      });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.get("/admin/webhooks/:id", async (req, res) => {
+    try {
+      const found = await webhookOutbox.get(req.params.id);
+      if (!found) return res.status(404).json({ ok: false, error: "not_found" });
+      return res.json({ ok: true, state: found.state, record: found.record });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.post("/admin/webhooks/:id/replay", async (req, res) => {
+    try {
+      const r = await webhookOutbox.replay(req.params.id);
+      if (!r) return res.status(404).json({ ok: false, error: "not_found" });
+      return res.status(202).json({ ok: true, ...r });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { adminWebhooksRouter };
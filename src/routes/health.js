@@ -1,17 +1,23 @@
 "use strict";
 
 const express = require("express");
-const { env } = require("../config/env");
+const { requireDeps } = require("../utils/requireDeps");
 
-const router = express.Router();
+function healthRouter(deps) {
+  const { env, callRegistry } = requireDeps("healthRouter", deps, ["env", "callRegistry"]);
+  const router = express.Router();
 
-router.get("/health", (req, res) => {
-  return res.status(200).json({
-    status: "ok",
-    service: "VoiceBot_Blank",
-    provider_mode: env.PROVIDER_MODE,
-    time: new Date().toISOString()
+  router.get("/health", (req, res) => {
+    return res.status(200).json({
+      status: "ok",
+      service: "VoiceBot_Blank",
+      provider_mode: env.PROVIDER_MODE,
+      active_calls: callRegistry.activeCount(),
+      time: new Date().toISOString()
+    });
   });
-});
 
-module.exports = { healthRouter: router };
+  return router;
+}
+
+module.exports = { healthRouter };
@@ -0,0 +1,58 @@
+"use strict";
+
+const express = require("express");
+const crypto = require("crypto");
+const { requireDeps } = require("../utils/requireDeps");
+const { listTenants } = require("../tenants/tenantRegistry");
+
+// GET /metrics -> Prometheus text format (metrics/metrics.js).
+// Point-in-time gauges (active calls, outbox depth, SSOT age) are computed per scrape.
+// When METRICS_TOKEN is set, scrapers must send `Authorization: Bearer <token>`.
+
+function tokenMatches(expected, got) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(got || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function metricsRouter(deps) {
+  const { env, callRegistry, ssotClient, webhookOutbox, metrics } = requireDeps("metricsRouter", deps, [
+    "env",
+    "callRegistry",
+    "ssotClient",
+    "webhookOutbox",
+    "metrics"
+  ]);
+  const router = express.Router();
+
+  router.get("/metrics", (req, res) => {
+    if (env.METRICS_TOKEN) {
+      const m = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ""));
+      if (!m || !tokenMatches(env.METRICS_TOKEN, m[1].trim())) {
+        return res.status(401).json({ error: "unauthorized" });
+      }
+    }
+
+    metrics.activeCalls.set({}, callRegistry.activeCount());
+
+    const outbox = webhookOutbox.stats();
+    metrics.webhookOutbox.set({ state: "pending" }, outbox.pending);
+    metrics.webhookOutbox.set({ state: "dead" }, outbox.dead);
+
+    const now = Date.now();
+    metrics.ssotAge.reset();
+    for (const tenant of listTenants()) {
+      try {
+        const loadedAt = ssotClient.getSSOT(tenant.tenant_id)?.loaded_at;
+        if (loadedAt) metrics.ssotAge.set({ tenant_id: tenant.tenant_id }, Math.round((now - Date.parse(loadedAt)) / 1000));
+      } catch { /* unknown tenant store: no series */ }
+    }
+
+    res.set("content-type", "text/plain; version=0.0.4; charset=utf-8");
+    return res.status(200).send(metrics.registry.render());
+  });
+
+  return router;
+}
+
+module.exports = { metricsRouter };
@@ -2,73 +2,125 @@
 "use strict";
 
 const express = require("express");
-const { env } = require("../config/env");
-const { logger } = require("../utils/logger");
-
-const recordingsRouter = express.Router();
-
-/**
- * Public proxy for Twilio recording media.
- * Why: Twilio Recording media URLs require basic auth (AccountSid/AuthToken).
- * This endpoint fetches the mp3 from Twilio with auth, and streams it publicly.
- *
- * URL: GET /recordings/:recordingSid.mp3
- */
-recordingsRouter.get("/recordings/:recordingSid.mp3", async (req, res) => {
-  const recordingSid = String(req.params.recordingSid || "").trim();
-  if (!recordingSid) return res.status(400).send("missing recordingSid");
-
-  const accountSid = env.TWILIO_ACCOUNT_SID;
-  const authToken = env.TWILIO_AUTH_TOKEN;
-
-  if (!accountSid || !authToken) {
-    return res.status(500).send("missing TWILIO creds");
-  }
-
-  try {
-    const url = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(
-      accountSid
-    )}/Recordings/${encodeURIComponent(recordingSid)}.mp3`;
-
-    const basic = Buffer.from(`${accountSid}:${authToken}`).toString("base64");
-
-    const r = await fetch(url, {
-      method: "GET",
-      headers: {
-        authorization: `Basic ${basic}`,
-        "user-agent": "voicebot-blank/recording-proxy"
+const { verifyRecordingSignature } = require("../utils/signedUrls");
+const { requireDeps } = require("../utils/requireDeps");
+
+function recordingsRouter(deps) {
+  const { env, logger, recordingStore } = requireDeps("recordingsRouter", deps, ["env", "logger", "recordingStore"]);
+  const router = express.Router();
+
+  /**
+   * Public proxy for Twilio recording media.
+   * Why: Twilio Recording media URLs require basic auth (AccountSid/AuthToken).
+   * This endpoint fetches the mp3 from Twilio with auth, and streams it publicly.
+   *
+   * URL: GET /recordings/:recordingSid.mp3?exp=<unix>&sig=<hex>
+   * Only signed, unexpired URLs (utils/signedUrls) are served; a bare RecordingSid is not enough.
+   */
+  router.get("/recordings/:recordingSid.mp3", async (req, res) => {
+    const recordingSid = String(req.params.recordingSid || "").trim();
+    if (!recordingSid) return res.status(400).send("missing recordingSid");
+
+    const check = verifyRecordingSignature(recordingSid, req.query?.exp, req.query?.sig);
+    if (!check.ok) {
+      logger.warn("Recording proxy rejected", { recordingSid, reason: check.reason });
+      return res.status(check.reason === "expired" ? 410 : 403).send(check.reason);
+    }
+
+    const accountSid = env.TWILIO_ACCOUNT_SID;
+    const authToken = env.TWILIO_AUTH_TOKEN;
+
+    if (!accountSid || !authToken) {
+      return res.status(500).send("missing TWILIO creds");
+    }
+
+    try {
+      const url = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(
+        accountSid
+      )}/Recordings/${encodeURIComponent(recordingSid)}.mp3`;
+
+      const basic = Buffer.from(`${accountSid}:${authToken}`).toString("base64");
+
+      const r = await fetch(url, {
+        method: "GET",
+        headers: {
+          authorization: `Basic ${basic}`,
+          "user-agent": "voicebot-blank/recording-proxy"
+        }
+      });
+
+      if (!r.ok) {
+        const body = await r.text().catch(() => "");
+        logger.warn("Recording proxy fetch failed", {
+          status: r.status,
+          recordingSid,
+          body: body?.slice(0, 240)
+        });
+        return res.status(502).send("twilio fetch failed");
       }
-    });
-
-    if (!r.ok) {
-      const body = await r.text().catch(() => "");
-      logger.warn("Recording proxy fetch failed", {
-        status: r.status,
-        recordingSid,
-        body: body?.slice(0, 240)
+
+      res.status(200);
+      res.setHeader("content-type", "audio/mpeg");
+      // Cache no longer than the link is valid.
+      const maxAge = Math.max(0, Math.floor(Number(req.query.exp) - Date.now() / 1000));
+      res.setHeader("cache-control", `private, max-age=${maxAge}`);
+
+      // Stream through
+      const buf = Buffer.from(await r.arrayBuffer());
+      res.send(buf);
+    } catch (err) {
+      logger.error("Recording proxy error", { recordingSid, error: err?.message || String(err) });
+      res.status(500).send("proxy error");
+    }
+  });
+
+  /**
+   * Server-side recordings (recording/callRecorder -> recording store), stereo WAV:
+   * left = caller, right = bot.
+   *
+   * URL: GET /recordings/local/:key.wav?exp=<unix>&sig=<hex>
+   */
+  router.get("/recordings/local/:key.wav", async (req, res) => {
+    const key = String(req.params.key || "").trim();
+    if (!key) return res.status(400).send("missing key");
+
+    const check = verifyRecordingSignature(key, req.query?.exp, req.query?.sig, Date.now(), "local");
+    if (!check.ok) {
+      logger.warn("Local recording rejected", { key, reason: check.reason });
+      return res.status(check.reason === "expired" ? 410 : 403).send(check.reason);
+    }
+
+    try {
+      const file = await recordingStore.open(key);
+      if (!file) return res.status(404).send("not found");
+
+      const maxAge = Math.max(0, Math.floor(Number(req.query.exp) - Date.now() / 1000));
+      res.status(200);
+      res.setHeader("content-type", "audio/wav");
+      if (file.size) res.setHeader("content-length", String(file.size));
+      res.setHeader("cache-control", `private, max-age=${maxAge}`);
+
+      file.stream.on("error", (err) => {
+        logger.warn("Local recording stream error", { key, error: err?.message || String(err) });
+        res.destroy(err);
       });
-      return res.status(502).send("twilio fetch failed");
+      file.stream.pipe(res);
+    } catch (err) {
+      logger.error("Local recording read error", { key, error: err?.message || String(err) });
+      res.status(500).send("read error");
     }
+  });
+
+  // Compatibility alias: /recording/<RecordingSid>?exp=..&sig=..
+  // (GilSport-style payloads often reference this path; the signature is checked on the target)
+  router.get("/recording/:recordingSid", (req, res) => {
+    const recordingSid = String(req.params.recordingSid || "").trim();
+    if (!recordingSid) return res.status(400).send("missing recordingSid");
+    const qs = new URLSearchParams({ exp: String(req.query?.exp || ""), sig: String(req.query?.sig || "") });
+    return res.redirect(302, `/recordings/${encodeURIComponent(recordingSid)}.mp3?${qs}`);
+  });
 
-    res.status(200);
-    res.setHeader("content-type", "audio/mpeg");
-    res.setHeader("cache-control", "public, max-age=31536000, immutable");
-
-    // Stream through
-    const buf = Buffer.from(await r.arrayBuffer());
-    res.send(buf);
-  } catch (err) {
-    logger.error("Recording proxy error", { recordingSid, error: err?.message || String(err) });
-    res.status(500).send("proxy error");
-  }
-});
-
-// Compatibility alias: /recording/<RecordingSid>
-// (GilSport-style payloads often reference this path)
-recordingsRouter.get("/recording/:recordingSid", (req, res) => {
-  const recordingSid = String(req.params.recordingSid || "").trim();
-  if (!recordingSid) return res.status(400).send("missing recordingSid");
-  return res.redirect(302, `/recordings/${encodeURIComponent(recordingSid)}.mp3`);
-});
+  return router;
+}
 
 module.exports = { recordingsRouter };
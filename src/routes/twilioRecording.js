@@ -2,6 +2,7 @@
 "use strict";
 
 const { env } = require("../config/env");
+const { signedRecordingUrl } = require("../utils/signedUrls");
 
 /**
  * Start a call recording on Twilio.
@@ -80,11 +81,7 @@ async function hangupCall(callSid, logger) {
 }
 
 function publicRecordingUrl(recordingSid) {
-  const sid = String(recordingSid || "").trim();
-  if (!sid) return "";
-  const base = String(env.PUBLIC_BASE_URL || "").trim().replace(/\/$/, "");
-  if (!base) return "";
-  return `${base}/recordings/${sid}.mp3`;
+  return signedRecordingUrl(recordingSid);
 }
 
 module.exports = {
@@ -1,25 +1,55 @@
 "use strict";
 
 const express = require("express");
-const { logger } = require("../utils/logger");
-
-const router = express.Router();
-
-router.post("/twilio/status", express.urlencoded({ extended: false }), (req, res) => {
-  // Twilio שולח application/x-www-form-urlencoded כברירת מחדל
-  const callSid = req.body?.CallSid || req.body?.CallSid?.toString();
-  const callStatus = req.body?.CallStatus || req.body?.CallStatus?.toString();
-  const from = req.body?.From || req.body?.From?.toString();
-  const to = req.body?.To || req.body?.To?.toString();
-
-  logger.info("Twilio status webhook received", {
-    callSid,
-    callStatus,
-    from,
-    to
+const { requireTwilioSignature } = require("../utils/twilioSignature");
+const { requireDeps } = require("../utils/requireDeps");
+const { isTerminalStatus } = require("../calls/callRegistry");
+
+// POST /twilio/status
+// Twilio StatusCallback: moves the call through its lifecycle in the call registry
+// (initiated -> ringing -> in-progress -> completed | busy | no-answer | canceled | failed).
+// A terminal status while the media stream is still live stops the session, so the
+// call is finalized even if the stream `stop` event never arrives.
+
+function twilioStatusRouter(deps) {
+  const { callRegistry, logger } = requireDeps("twilioStatusRouter", deps, ["callRegistry", "logger"]);
+  const router = express.Router();
+
+  router.post("/twilio/status", express.urlencoded({ extended: false }), requireTwilioSignature(), (req, res) => {
+    // Twilio שולח application/x-www-form-urlencoded כברירת מחדל
+    const callSid = String(req.body?.CallSid || "");
+    const callStatus = String(req.body?.CallStatus || "");
+    const from = req.body?.From;
+    const to = req.body?.To;
+
+    const entry = callRegistry.applyStatus(callSid, {
+      status: callStatus,
+      sequence: req.body?.SequenceNumber,
+      duration_sec: req.body?.CallDuration,
+      from,
+      to
+    });
+
+    logger.info("Twilio status webhook received", {
+      callSid,
+      callStatus,
+      from,
+      to,
+      stream_state: entry?.stream_state || null
+    });
+
+    if (entry?.session && entry.stream_state === "live" && isTerminalStatus(callStatus)) {
+      logger.info("Call ended per status callback; stopping live session", { callSid, callStatus });
+      try {
+        entry.session.stop();
+      } catch { /* never break voice */ }
+      callRegistry.endStream(callSid, `twilio_${callStatus.toLowerCase()}`);
+    }
+
+    return res.status(200).json({ ok: true });
   });
 
-  return res.status(200).json({ ok: true });
-});
+  return router;
+}
 
-module.exports = { twilioStatusRouter: router };
+module.exports = { twilioStatusRouter };
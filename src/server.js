@@ -1,40 +1,106 @@
 // src/server.js
 "use strict";
 
-const express = require("express");
+const path = require("path");
 const { env } = require("./config/env");
 const { logger } = require("./utils/logger");
-const { healthRouter } = require("./routes/health");
-const { adminReloadRouter } = require("./routes/adminReloadSheets");
-const { recordingsRouter } = require("./routes/recordings");
-const { loadSSOT } = require("./ssot/ssotClient");
+const ssotClient = require("./ssot/ssotClient");
+const { loadTenants, listTenants, getTenant } = require("./tenants/tenantRegistry");
+const { assertAudioFormats } = require("./audio/codecs");
+const { createCallRegistry } = require("./calls/callRegistry");
+const { createRecordingStore } = require("./recording/stores");
+const { metrics } = require("./metrics/metrics");
+const { createWebhookOutbox } = require("./webhooks/outbox");
+const { createWebhookDelivery } = require("./webhooks/deliver");
+const { webhookSecretFor } = require("./webhooks/signature");
+const { expandSecretRefs } = require("./webhooks/mapping");
+const { createSnapshotStore } = require("./webhooks/snapshotStore");
+const { createApp } = require("./app");
 const { installTwilioMediaWs } = require("./ws/twilioMediaWs");
+const { installGracefulShutdown } = require("./calls/gracefulShutdown");
 
-const app = express();
+// Broken tenant config must stop the deploy, not misroute calls.
+loadTenants();
 
-app.use(express.json({ limit: "1mb" }));
+// Signature checks without a token would reject every Twilio request (and every call).
+if (env.TWILIO_VALIDATE_SIGNATURE && !String(env.TWILIO_AUTH_TOKEN || "").trim()) {
+  throw new Error("TWILIO_VALIDATE_SIGNATURE=true requires TWILIO_AUTH_TOKEN");
+}
+if (!env.TWILIO_VALIDATE_SIGNATURE) {
+  logger.warn("Twilio signature validation is off", {
+    reason: env.TWILIO_AUTH_TOKEN ? "TWILIO_VALIDATE_SIGNATURE=false" : "TWILIO_AUTH_TOKEN not set"
+  });
+}
+
+// Same for audio formats: an unsupported codec must fail here, not on the first call.
+const audioFormats = assertAudioFormats(env);
+for (const d of audioFormats.deprecated) {
+  logger.warn(`${d.key}=${d.value} is deprecated (it described the Twilio side); using ${d.used}`, d);
+}
+
+const callRegistry = createCallRegistry({ logger, retentionMs: env.CALL_REGISTRY_RETENTION_MS });
 
-app.use(healthRouter);
-app.use(adminReloadRouter);
-app.use(recordingsRouter);
+const recordingStore = createRecordingStore(env);
 
-app.use((req, res) => {
-  res.status(404).json({ error: "not_found" });
+const webhookOutbox = createWebhookOutbox({
+  dir: env.WEBHOOK_OUTBOX_DIR,
+  logger,
+  maxAttempts: env.WEBHOOK_MAX_ATTEMPTS,
+  baseDelayMs: env.WEBHOOK_BASE_DELAY_MS,
+  maxDelayMs: env.WEBHOOK_MAX_DELAY_MS,
+  timeoutMs: env.WEBHOOK_TIMEOUT_MS,
+  concurrency: env.WEBHOOK_CONCURRENCY,
+  signingSecretFor: (rec) => webhookSecretFor(getTenant(rec.tenant_id)?.env || env, rec.event_type),
+  headersFor: (rec) => expandSecretRefs(rec.headers, env.WEBHOOK_SECRETS)
+});
+// Redelivers events a previous process left pending.
+webhookOutbox.start().catch((err) => {
+  logger.error("Webhook outbox start failed", { error: err?.message || String(err) });
+});
+
+const webhookSnapshots = createSnapshotStore({
+  dir: path.join(env.WEBHOOK_OUTBOX_DIR || "outbox", "snapshots"),
+  logger,
+  maxEntries: env.WEBHOOK_SNAPSHOT_MAX
+});
+webhookSnapshots.start().catch((err) => {
+  logger.error("Webhook snapshot store start failed", { error: err?.message || String(err) });
+});
+
+// Call sessions hand finalize events to this; the dry-run endpoint renders through it too.
+const webhookDelivery = createWebhookDelivery({ outbox: webhookOutbox, snapshots: webhookSnapshots, logger });
+
+const app = createApp({
+  env,
+  logger,
+  ssotClient,
+  callRegistry,
+  recordingStore,
+  webhookOutbox,
+  webhookSnapshots,
+  metrics
 });
 
 const server = app.listen(env.PORT, async () => {
   logger.info("Service started", {
     port: env.PORT,
-    provider_mode: env.PROVIDER_MODE
+    provider_mode: env.PROVIDER_MODE,
+    audio_in_format: audioFormats.in.name,
+    audio_out_format: audioFormats.out.name
   });
 
-  // Best-effort preload SSOT
-  try {
-    await loadSSOT(false);
-  } catch (err) {
-    logger.error("SSOT preload failed", { error: err?.message || String(err) });
+  // Best-effort preload SSOT (one cache per tenant)
+  for (const tenant of listTenants()) {
+    try {
+      await ssotClient.loadSSOT(false, tenant.tenant_id);
+    } catch (err) {
+      logger.error("SSOT preload failed", { tenant_id: tenant.tenant_id, error: err?.message || String(err) });
+    }
   }
 });
 
 // IMPORTANT: attach WS upgrade handler to the real HTTP server
-installTwilioMediaWs(server);
+const mediaWs = installTwilioMediaWs(server, { callRegistry, recordingStore, webhookDelivery });
+
+// Deploys send SIGTERM: drain live calls, finalize the rest, then exit.
+installGracefulShutdown({ server, mediaWs, callRegistry, logger, env });
@@ -0,0 +1,60 @@
+"use strict";
+
+// Local file SSOT provider (JSON or YAML), for offline development and
+// tenants that keep their config outside Google Workspace.
+// The file's directory is watched (filtered on the file name), so saves that write a temp
+// file and rename it over the original keep triggering onChange() after the first one.
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { documentToRows } = require("./normalize");
+
+function parseDocument(filePath, text) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".yaml" || ext === ".yml") return YAML.parse(text);
+  return JSON.parse(text);
+}
+
+function createFileProvider({ filePath }) {
+  const p = (filePath || "").trim();
+  if (!p) throw new Error("Missing SSOT_FILE_PATH");
+  const absPath = path.resolve(p);
+
+  let watcher = null;
+  let debounce = null;
+
+  return {
+    name: "file",
+
+    async load() {
+      const text = await fs.promises.readFile(absPath, "utf8");
+      const doc = parseDocument(absPath, text);
+      return { ...documentToRows(doc), meta: { file: absPath } };
+    },
+
+    // Editors often write in several steps (truncate + write / rename); debounce.
+    watch(onChange) {
+      if (watcher) return;
+      const name = path.basename(absPath);
+      try {
+        watcher = fs.watch(path.dirname(absPath), (event, changed) => {
+          // `changed` can be missing on some platforms; reload rather than miss a change.
+          if (changed && changed.toString() !== name) return;
+          if (debounce) clearTimeout(debounce);
+          debounce = setTimeout(() => {
+            debounce = null;
+            onChange();
+          }, 250);
+          if (typeof debounce.unref === "function") debounce.unref();
+        });
+        watcher.on("error", () => {});
+        if (typeof watcher.unref === "function") watcher.unref();
+      } catch {
+        watcher = null;
+      }
+    }
+  };
+}
+
+module.exports = { createFileProvider };
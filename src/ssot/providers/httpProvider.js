@@ -0,0 +1,37 @@
+"use strict";
+
+// Generic HTTPS JSON SSOT provider.
+// GET SSOT_HTTP_URL -> { settings, prompts, intents } (see ./normalize).
+
+const { documentToRows } = require("./normalize");
+
+function createHttpProvider({ url, token, timeoutMs = 8000 }) {
+  const u = (url || "").trim();
+  if (!u) throw new Error("Missing SSOT_HTTP_URL");
+
+  return {
+    name: "http",
+
+    async load() {
+      const controller = new AbortController();
+      const t = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const headers = { accept: "application/json", "user-agent": "voicebot-blank/ssot" };
+        if (token) headers.authorization = `Bearer ${token}`;
+
+        const res = await fetch(u, { method: "GET", headers, signal: controller.signal });
+        if (!res.ok) {
+          const txt = await res.text().catch(() => "");
+          throw new Error(`SSOT HTTP ${res.status}: ${txt.slice(0, 200)}`);
+        }
+
+        const doc = await res.json();
+        return { ...documentToRows(doc), meta: { url: u } };
+      } finally {
+        clearTimeout(t);
+      }
+    }
+  };
+}
+
+module.exports = { createHttpProvider };
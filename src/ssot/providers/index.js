@@ -0,0 +1,37 @@
+"use strict";
+
+// SSOT provider selection.
+// Every provider exposes { name, load(): Promise<{ settingsRows, promptsRows, intentsRows, leadRulesRows, webhooksRows, rowBase, meta }> }
+// and optionally watch(onChange) for sources that can push changes.
+// Rows are parsed + validated into the cache shape by ../ssotSchema.
+
+const { createSheetsProvider } = require("./sheetsProvider");
+const { createFileProvider } = require("./fileProvider");
+const { createHttpProvider } = require("./httpProvider");
+
+function createSSOTProvider(cfg) {
+  const kind = String(cfg?.SSOT_PROVIDER || "sheets").trim().toLowerCase();
+
+  if (kind === "sheets") {
+    return createSheetsProvider({
+      sheetId: cfg.GSHEET_ID,
+      serviceAccountB64: cfg.GOOGLE_SERVICE_ACCOUNT_JSON_B64
+    });
+  }
+
+  if (kind === "file") {
+    return createFileProvider({ filePath: cfg.SSOT_FILE_PATH });
+  }
+
+  if (kind === "http") {
+    return createHttpProvider({
+      url: cfg.SSOT_HTTP_URL,
+      token: cfg.SSOT_HTTP_TOKEN,
+      timeoutMs: cfg.SSOT_HTTP_TIMEOUT_MS
+    });
+  }
+
+  throw new Error(`Unknown SSOT_PROVIDER: ${kind}`);
+}
+
+module.exports = { createSSOTProvider };
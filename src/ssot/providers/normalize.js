@@ -0,0 +1,86 @@
+"use strict";
+
+// Shared conversion for document-style SSOT sources (file / HTTP).
+// Accepted shape (same as the Sheets cache):
+// {
+//   settings: { OPENING_SCRIPT: "...", ... },
+//   prompts:  { MASTER_PROMPT: "...", ... },
+//   intents:  [ { intent_id, intent_type, priority, triggers_he, triggers_en, triggers_ru } ],
+//   lead_rules: [ { field, required, validator, value, exceptions } ],  (optional)
+//   webhooks: [ { destination_id, event_type, url, format, template, headers, enabled } ]  (optional;
+//               template / headers may be objects; event_type a string or an array)
+// }
+// Case-insensitive top-level keys (SETTINGS / PROMPTS / INTENTS / LEAD_RULES / WEBHOOKS) are accepted so a
+// sheet export can be dropped in as-is. Documents are flattened to sheet-like rows
+// so ../ssotSchema validates every source the same way.
+
+function pick(doc, key) {
+  if (!doc || typeof doc !== "object") return undefined;
+  if (doc[key] !== undefined) return doc[key];
+  return doc[key.toUpperCase()];
+}
+
+function kvRows(obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return [];
+  return Object.entries(obj).map(([k, v]) => [k, v]);
+}
+
+function triggersCell(v) {
+  if (Array.isArray(v)) return v.map((x) => String(x ?? "").trim()).filter(Boolean).join("|");
+  return v;
+}
+
+function intentRows(list) {
+  return (Array.isArray(list) ? list : []).map((it) => [
+    it?.intent_id,
+    it?.intent_type,
+    it?.priority,
+    triggersCell(it?.triggers_he),
+    triggersCell(it?.triggers_en),
+    triggersCell(it?.triggers_ru)
+  ]);
+}
+
+function leadRuleRows(list) {
+  return (Array.isArray(list) ? list : []).map((rule) => [
+    rule?.field,
+    rule?.required,
+    rule?.validator,
+    rule?.value,
+    rule?.exceptions
+  ]);
+}
+
+function jsonCell(v) {
+  if (v === undefined || v === null || v === "") return "";
+  return typeof v === "object" ? JSON.stringify(v) : v;
+}
+
+function webhookRows(list) {
+  return (Array.isArray(list) ? list : []).map((d) => [
+    d?.destination_id,
+    Array.isArray(d?.event_type) ? d.event_type.join(",") : d?.event_type,
+    d?.url,
+    d?.format,
+    jsonCell(d?.template),
+    jsonCell(d?.headers),
+    d?.enabled
+  ]);
+}
+
+function documentToRows(doc) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    throw new Error("SSOT document must be an object with settings/prompts/intents");
+  }
+  return {
+    settingsRows: kvRows(pick(doc, "settings")),
+    promptsRows: kvRows(pick(doc, "prompts")),
+    intentsRows: intentRows(pick(doc, "intents")),
+    leadRulesRows: leadRuleRows(pick(doc, "lead_rules")),
+    webhooksRows: webhookRows(pick(doc, "webhooks")),
+    // Documents have no header row; report entries by 1-based position.
+    rowBase: 1
+  };
+}
+
+module.exports = { documentToRows };
@@ -0,0 +1,98 @@
+"use strict";
+
+// Google Sheets SSOT provider (SETTINGS / PROMPTS / INTENTS tabs, optional LEAD_RULES / WEBHOOKS tabs).
+
+const { google } = require("googleapis");
+
+function stripOuterQuotes(s) {
+  if (typeof s !== "string") return s;
+  const t = s.trim();
+  if (
+    (t.startsWith('"') && t.endsWith('"')) ||
+    (t.startsWith("'") && t.endsWith("'"))
+  ) {
+    return t.slice(1, -1);
+  }
+  return t;
+}
+
+function b64ToJson(b64) {
+  const raw = stripOuterQuotes(b64 || "");
+  if (!raw) return null;
+  const jsonStr = Buffer.from(raw, "base64").toString("utf8");
+  return JSON.parse(jsonStr);
+}
+
+function getSheetsClient({ sheetId, serviceAccountB64 }) {
+  const id = (sheetId || "").trim();
+  if (!id) throw new Error("Missing GSHEET_ID");
+
+  const sa = b64ToJson(serviceAccountB64);
+  if (!sa || !sa.client_email || !sa.private_key) {
+    throw new Error("Missing/invalid GOOGLE_SERVICE_ACCOUNT_JSON_B64");
+  }
+
+  const auth = new google.auth.JWT({
+    email: sa.client_email,
+    key: sa.private_key,
+    scopes: ["https://www.googleapis.com/auth/spreadsheets.readonly"]
+  });
+
+  const sheets = google.sheets({ version: "v4", auth });
+  return { sheets, sheetId: id };
+}
+
+function dropHeader(values) {
+  if (!values || values.length === 0) return [];
+  return values.slice(1);
+}
+
+// LEAD_RULES / WEBHOOKS are optional: most sheets predate them, and a missing tab fails
+// the whole batchGet, so each is read on its own and "no such range" means "no rows".
+async function loadOptionalRange(sheets, spreadsheetId, range) {
+  try {
+    const resp = await sheets.spreadsheets.values.get({ spreadsheetId, range });
+    return resp?.data?.values || [];
+  } catch (e) {
+    const status = e?.code || e?.response?.status;
+    if (status === 400 && /unable to parse range/i.test(String(e?.message || ""))) return [];
+    throw e;
+  }
+}
+
+function createSheetsProvider({ sheetId, serviceAccountB64 }) {
+  return {
+    name: "sheets",
+
+    async load() {
+      const { sheets, sheetId: spreadsheetId } = getSheetsClient({ sheetId, serviceAccountB64 });
+
+      // IMPORTANT: rely on returned order, not vr.range string
+      const ranges = ["SETTINGS!A:B", "PROMPTS!A:B", "INTENTS!A:F"];
+
+      const resp = await sheets.spreadsheets.values.batchGet({ spreadsheetId, ranges });
+
+      const vrs = resp?.data?.valueRanges || [];
+
+      // Google may return range strings like SETTINGS!A1:B200 - don't key by it.
+      const settingsVals = vrs?.[0]?.values || [];
+      const promptsVals = vrs?.[1]?.values || [];
+      const intentsVals = vrs?.[2]?.values || [];
+      const leadRulesVals = await loadOptionalRange(sheets, spreadsheetId, "LEAD_RULES!A:E");
+      const webhooksVals = await loadOptionalRange(sheets, spreadsheetId, "WEBHOOKS!A:G");
+
+      // Row 1 is the header; data rows start at sheet row 2 (used in validation reports).
+      return {
+        settingsRows: dropHeader(settingsVals),
+        promptsRows: dropHeader(promptsVals),
+        intentsRows: dropHeader(intentsVals),
+        leadRulesRows: dropHeader(leadRulesVals),
+        webhooksRows: dropHeader(webhooksVals),
+        rowBase: 2,
+        meta: { ranges_returned: vrs.map((x) => x.range) }
+      };
+    }
+  };
+}
+
+module.exports = { createSheetsProvider };
@@ -1,159 +1,355 @@
 "use strict";
 
-const { google } = require("googleapis");
-const { env } = require("../config/env");
+const crypto = require("crypto");
 const { logger } = require("../utils/logger");
+const { createSSOTProvider } = require("./providers");
+const { parseSSOTRows } = require("./ssotSchema");
+const { getTenant, DEFAULT_TENANT_ID } = require("../tenants/tenantRegistry");
+const { metrics } = require("../metrics/metrics");
 
-let CACHE = {
-  loaded_at: null,
-  expires_at: 0,
-  settings: {},
-  prompts: {},
-  intents: []
-};
-
-function stripOuterQuotes(s) {
-  if (typeof s !== "string") return s;
-  const t = s.trim();
-  if (
-    (t.startsWith('"') && t.endsWith('"')) ||
-    (t.startsWith("'") && t.endsWith("'"))
-  ) {
-    return t.slice(1, -1);
-  }
-  return t;
+function emptyCache() {
+  return {
+    loaded_at: null,
+    expires_at: 0,
+    source: null,
+    version: null,
+    hash: null,
+    settings: {},
+    prompts: {},
+    intents: [],
+    lead_rules: [],
+    webhooks: []
+  };
 }
 
-function b64ToJson(b64) {
-  const raw = stripOuterQuotes(b64 || "");
-  if (!raw) return null;
-  const jsonStr = Buffer.from(raw, "base64").toString("utf8");
-  return JSON.parse(jsonStr);
+function contentHash({ settings, prompts, intents, lead_rules, webhooks }) {
+  // Key order inside settings/prompts follows the source; sort for a stable hash.
+  const sortKeys = (o) => Object.fromEntries(Object.keys(o || {}).sort().map((k) => [k, o[k]]));
+  const canonical = JSON.stringify({
+    settings: sortKeys(settings),
+    prompts: sortKeys(prompts),
+    intents: intents || [],
+    // Only when set, so sheets without LEAD_RULES / WEBHOOKS keep the hash they always had.
+    ...(lead_rules?.length ? { lead_rules } : {}),
+    ...(webhooks?.length ? { webhooks } : {})
+  });
+  return crypto.createHash("sha256").update(canonical).digest("hex").slice(0, 16);
 }
 
-function isCacheValid() {
-  return Date.now() < (CACHE.expires_at || 0) && CACHE.loaded_at;
-}
+/**
+ * One SSOT cache per tenant. `cfg` is the tenant's env (see tenants/tenantRegistry),
+ * which selects the provider and its settings.
+ */
+function createSSOTStore({ tenantId, cfg }) {
+  let CACHE = { ...emptyCache(), tenant_id: tenantId };
+  let PROVIDER = null;
 
-async function getSheetsClient() {
-  const sheetId = (env.GSHEET_ID || "").trim();
-  if (!sheetId) throw new Error("Missing GSHEET_ID");
+  // Result of the most recent load attempt (applied or rejected).
+  let LAST_REPORT = null;
 
-  const sa = b64ToJson(env.GOOGLE_SERVICE_ACCOUNT_JSON_B64);
-  if (!sa || !sa.client_email || !sa.private_key) {
-    throw new Error("Missing/invalid GOOGLE_SERVICE_ACCOUNT_JSON_B64");
+  // Version history: newest first, capped at SSOT_HISTORY_SIZE.
+  // Entry: { version, hash, loaded_at, source, settings, prompts, intents, lead_rules, webhooks }
+  let HISTORY = [];
+  let VERSION_SEQ = 0;
+  // When pinned, reloads are still recorded in HISTORY but do not replace CACHE.
+  let PINNED_VERSION = null;
+  // After a rollback, reloads keep the rolled-back version until new content is recorded.
+  let ROLLED_BACK_VERSION = null;
+
+  const ttlMs = () => cfg.SSOT_TTL_MS || 60000;
+
+  // -> { entry, recorded }; `recorded` is false when the content matches the newest entry.
+  function recordVersion({ settings, prompts, intents, lead_rules, webhooks, source }) {
+    const hash = contentHash({ settings, prompts, intents, lead_rules, webhooks });
+    const latest = HISTORY[0];
+    if (latest && latest.hash === hash) return { entry: latest, recorded: false };
+
+    VERSION_SEQ += 1;
+    const entry = {
+      version: VERSION_SEQ,
+      hash,
+      loaded_at: new Date().toISOString(),
+      source,
+      settings,
+      prompts,
+      intents,
+      lead_rules,
+      webhooks
+    };
+    HISTORY.unshift(entry);
+
+    const max = Math.max(1, cfg.SSOT_HISTORY_SIZE || 10);
+    // Never evict the pinned version, even if it is older than the cap.
+    HISTORY = HISTORY.filter((h, i) => i < max || h.version === PINNED_VERSION || h.version === ROLLED_BACK_VERSION);
+    return { entry, recorded: true };
   }
 
-  const auth = new google.auth.JWT({
-    email: sa.client_email,
-    key: sa.private_key,
-    scopes: ["https://www.googleapis.com/auth/spreadsheets.readonly"]
-  });
+  function activate(entry, loadedAt = entry.loaded_at) {
+    CACHE = {
+      tenant_id: tenantId,
+      loaded_at: loadedAt,
+      expires_at: Date.now() + ttlMs(),
+      source: entry.source,
+      version: entry.version,
+      hash: entry.hash,
+      settings: entry.settings,
+      prompts: entry.prompts,
+      intents: entry.intents,
+      lead_rules: entry.lead_rules || [],
+      webhooks: entry.webhooks || []
+    };
+    return CACHE;
+  }
 
-  const sheets = google.sheets({ version: "v4", auth });
-  return { sheets, sheetId };
-}
+  function isCacheValid() {
+    return Date.now() < (CACHE.expires_at || 0) && CACHE.loaded_at;
+  }
 
-function dropHeader(values) {
-  if (!values || values.length === 0) return [];
-  return values.slice(1);
-}
+  // Provider is built lazily so a misconfigured source surfaces as a load error
+  // (logged by the preload / returned by /admin/reload-sheets), not a crash on require.
+  function getProvider() {
+    if (PROVIDER) return PROVIDER;
+    PROVIDER = createSSOTProvider(cfg);
 
-function rowsToKV(rows) {
-  const out = {};
-  for (const r of rows || []) {
-    const k = (r?.[0] ?? "").toString().trim();
-    const v = r?.[1];
-    if (!k) continue;
-    out[k] = v === undefined || v === null ? "" : String(v);
+    if (typeof PROVIDER.watch === "function") {
+      PROVIDER.watch(() => {
+        logger.info("SSOT source changed; reloading", { tenant_id: tenantId, provider: PROVIDER.name });
+        loadSSOT(true).catch((err) => {
+          logger.error("SSOT reload after change failed", { tenant_id: tenantId, error: err?.message || String(err) });
+        });
+      });
+    }
+
+    return PROVIDER;
   }
-  return out;
-}
 
-function rowsToPrompts(rows) {
-  const out = {};
-  for (const r of rows || []) {
-    const id = (r?.[0] ?? "").toString().trim();
-    const content = r?.[1];
-    if (!id) continue;
-    out[id] = content === undefined || content === null ? "" : String(content);
+  async function loadSSOT(force = false) {
+    if (!force && isCacheValid()) return CACHE;
+
+    try {
+      const cache = await loadFromSource();
+      metrics.ssotReloads.inc({ tenant_id: tenantId, result: "success" });
+      return cache;
+    } catch (err) {
+      metrics.ssotReloads.inc({ tenant_id: tenantId, result: "failure" });
+      throw err;
+    }
   }
-  return out;
-}
 
-function rowsToIntents(rows) {
-  const intents = [];
-  for (const r of rows || []) {
-    const intent_id = (r?.[0] ?? "").toString().trim();
-    if (!intent_id) continue;
-    intents.push({
-      intent_id,
-      intent_type: (r?.[1] ?? "").toString().trim(),
-      priority: Number((r?.[2] ?? "0").toString().trim()) || 0,
-      triggers_he: (r?.[3] ?? "").toString(),
-      triggers_en: (r?.[4] ?? "").toString(),
-      triggers_ru: (r?.[5] ?? "").toString()
+  async function loadFromSource() {
+    const startedAt = Date.now();
+    const provider = getProvider();
+    const { meta, ...rows } = await provider.load();
+
+    const { data, report } = parseSSOTRows(rows);
+    LAST_REPORT = { ...report, tenant_id: tenantId, provider: provider.name, checked_at: new Date().toISOString() };
+
+    if (!report.ok) {
+      logger.error("SSOT validation failed; keeping previous cache", {
+        tenant_id: tenantId,
+        provider: provider.name,
+        errors: report.errors,
+        warnings: report.warnings.length,
+        active_loaded_at: CACHE.loaded_at
+      });
+      const err = new Error(`SSOT validation failed (${report.errors.length} errors)`);
+      err.code = "SSOT_VALIDATION_FAILED";
+      err.report = LAST_REPORT;
+      throw err;
+    }
+
+    if (report.warnings.length) {
+      logger.warn("SSOT validation warnings", { tenant_id: tenantId, provider: provider.name, warnings: report.warnings });
+    }
+
+    const { settings, prompts, intents, lead_rules, webhooks } = data;
+    const { entry, recorded } = recordVersion({ settings, prompts, intents, lead_rules, webhooks, source: provider.name });
+
+    if (PINNED_VERSION !== null) {
+      CACHE.expires_at = Date.now() + ttlMs();
+      logger.info("SSOT loaded while pinned; new version recorded but not activated", {
+        tenant_id: tenantId,
+        provider: provider.name,
+        loaded_version: entry.version,
+        pinned_version: PINNED_VERSION
+      });
+      return CACHE;
+    }
+
+    // A forced reload (admin reload, file watcher) with unchanged content must not undo a rollback.
+    if (ROLLED_BACK_VERSION !== null) {
+      if (!recorded) {
+        CACHE.expires_at = Date.now() + ttlMs();
+        logger.info("SSOT unchanged since rollback; keeping rolled-back version", {
+          tenant_id: tenantId,
+          provider: provider.name,
+          latest_version: entry.version,
+          rolled_back_version: ROLLED_BACK_VERSION
+        });
+        return CACHE;
+      }
+      ROLLED_BACK_VERSION = null;
+    }
+
+    activate(entry, new Date().toISOString());
+
+    logger.info("SSOT loaded", {
+      tenant_id: tenantId,
+      provider: provider.name,
+      version: entry.version,
+      hash: entry.hash,
+      settings_keys: Object.keys(settings).length,
+      prompts_keys: Object.keys(prompts).length,
+      intents: intents.length,
+      lead_rules: lead_rules.length,
+      webhooks: webhooks.length,
+      ms: Date.now() - startedAt,
+      ...(meta || {})
     });
+
+    return CACHE;
   }
-  return intents;
+
+  function getSSOTVersion(version) {
+    const v = Number(version);
+    return HISTORY.find((h) => h.version === v) || null;
+  }
+
+  function requireVersion(version) {
+    const entry = getSSOTVersion(version);
+    if (!entry) {
+      const err = new Error(`Unknown SSOT version: ${version}`);
+      err.code = "SSOT_VERSION_NOT_FOUND";
+      throw err;
+    }
+    return entry;
+  }
+
+  return {
+    loadSSOT,
+    getSSOT: () => CACHE,
+    getSSOTValidationReport: () => LAST_REPORT,
+    getSSOTVersion,
+
+    listSSOTVersions() {
+      return {
+        tenant_id: tenantId,
+        active_version: CACHE.version,
+        pinned_version: PINNED_VERSION,
+        rolled_back_version: ROLLED_BACK_VERSION,
+        versions: HISTORY.map((h) => ({
+          version: h.version,
+          hash: h.hash,
+          loaded_at: h.loaded_at,
+          source: h.source,
+          settings_keys: Object.keys(h.settings || {}).length,
+          prompts_keys: Object.keys(h.prompts || {}).length,
+          intents: (h.intents || []).length,
+          lead_rules: (h.lead_rules || []).length,
+          webhooks: (h.webhooks || []).length,
+          active: h.version === CACHE.version
+        }))
+      };
+    },
+
+    // Activate an older version until the source changes; the next reload that records
+    // new content moves forward again (reloads of unchanged content keep the rollback).
+    rollbackSSOT(version) {
+      const entry = requireVersion(version);
+      PINNED_VERSION = null;
+      ROLLED_BACK_VERSION = entry.version;
+      logger.warn("SSOT rolled back", { tenant_id: tenantId, version: entry.version, hash: entry.hash, from_version: CACHE.version });
+      return activate(entry);
+    },
+
+    // Activate a version and keep it active across reloads until unpinSSOT().
+    pinSSOT(version) {
+      const entry = requireVersion(version);
+      PINNED_VERSION = entry.version;
+      ROLLED_BACK_VERSION = null;
+      logger.warn("SSOT pinned", { tenant_id: tenantId, version: entry.version, hash: entry.hash, from_version: CACHE.version });
+      return activate(entry);
+    },
+
+    // Release the pin and activate the newest recorded version.
+    unpinSSOT() {
+      PINNED_VERSION = null;
+      ROLLED_BACK_VERSION = null;
+      const latest = HISTORY[0];
+      logger.info("SSOT unpinned", { tenant_id: tenantId, version: latest?.version ?? null });
+      return latest ? activate(latest) : CACHE;
+    }
+  };
 }
 
-/**
- * loadSSOT(force)
- * - force=false: respects cache ttl
- * - force=true : reloads now
- */
-async function loadSSOT(force = false) {
-  const ttl = env.SSOT_TTL_MS || 60000;
-  if (!force && isCacheValid()) return CACHE;
+// tenant_id -> store
+const STORES = new Map();
 
-  const startedAt = Date.now();
-  const { sheets, sheetId } = await getSheetsClient();
+function storeFor(tenantId) {
+  const id = tenantId || DEFAULT_TENANT_ID;
+  let store = STORES.get(id);
+  if (store) return store;
 
-  // IMPORTANT: rely on returned order, not vr.range string
-  const ranges = ["SETTINGS!A:B", "PROMPTS!A:B", "INTENTS!A:F"];
+  const tenant = getTenant(id);
+  if (!tenant) {
+    const err = new Error(`Unknown tenant: ${id}`);
+    err.code = "TENANT_NOT_FOUND";
+    throw err;
+  }
 
-  const resp = await sheets.spreadsheets.values.batchGet({
-    spreadsheetId: sheetId,
-    ranges
-  });
+  store = createSSOTStore({ tenantId: tenant.tenant_id, cfg: tenant.env });
+  STORES.set(id, store);
+  return store;
+}
 
-  const vrs = resp?.data?.valueRanges || [];
+/**
+ * loadSSOT(force, tenantId)
+ * - force=false: respects cache ttl
+ * - force=true : reloads now
+ * - tenantId   : defaults to the default tenant
+ *
+ * Throws (code SSOT_VALIDATION_FAILED, err.report) when validation finds errors;
+ * the previous good cache stays active in that case.
+ */
+async function loadSSOT(force = false, tenantId) {
+  return storeFor(tenantId).loadSSOT(force);
+}
 
-  // Google may return range strings like SETTINGS!A1:B200 - don't key by it.
-  const settingsVals = vrs?.[0]?.values || [];
-  const promptsVals = vrs?.[1]?.values || [];
-  const intentsVals = vrs?.[2]?.values || [];
+function getSSOT(tenantId) {
+  return storeFor(tenantId).getSSOT();
+}
 
-  const settingsRows = dropHeader(settingsVals);
-  const promptsRows = dropHeader(promptsVals);
-  const intentsRows = dropHeader(intentsVals);
+function getSSOTValidationReport(tenantId) {
+  return storeFor(tenantId).getSSOTValidationReport();
+}
 
-  const settings = rowsToKV(settingsRows);
-  const prompts = rowsToPrompts(promptsRows);
-  const intents = rowsToIntents(intentsRows);
+function listSSOTVersions(tenantId) {
+  return storeFor(tenantId).listSSOTVersions();
+}
 
-  CACHE = {
-    loaded_at: new Date().toISOString(),
-    expires_at: Date.now() + ttl,
-    settings,
-    prompts,
-    intents
-  };
+function getSSOTVersion(version, tenantId) {
+  return storeFor(tenantId).getSSOTVersion(version);
+}
 
-  logger.info("SSOT loaded", {
-    settings_keys: Object.keys(settings).length,
-    prompts_keys: Object.keys(prompts).length,
-    intents: intents.length,
-    ms: Date.now() - startedAt,
-    ranges_returned: vrs.map((x) => x.range)
-  });
+function rollbackSSOT(version, tenantId) {
+  return storeFor(tenantId).rollbackSSOT(version);
+}
 
-  return CACHE;
+function pinSSOT(version, tenantId) {
+  return storeFor(tenantId).pinSSOT(version);
 }
 
-function getSSOT() {
-  return CACHE;
+function unpinSSOT(tenantId) {
+  return storeFor(tenantId).unpinSSOT();
 }
 
-module.exports = { loadSSOT, getSSOT };
+module.exports = {
+  loadSSOT,
+  getSSOT,
+  getSSOTValidationReport,
+  listSSOTVersions,
+  getSSOTVersion,
+  rollbackSSOT,
+  pinSSOT,
+  unpinSSOT
+};
@@ -0,0 +1,116 @@
+"use strict";
+
+// SSOT snapshot diff (settings, prompt text, intent rows, lead rules, webhook destinations).
+// Output is JSON-friendly for the admin API; prompt text gets a line diff so
+// a changed MASTER_PROMPT shows what actually moved.
+
+const MAX_LINE_DIFF_CELLS = 250000; // rows*cols of the LCS table; beyond that, report whole-text change
+
+function lineDiff(fromText, toText) {
+  const a = String(fromText ?? "").split("\n");
+  const b = String(toText ?? "").split("\n");
+
+  if (a.length * b.length > MAX_LINE_DIFF_CELLS) {
+    return { truncated: true, lines: [...a.map((line) => ({ op: "-", line })), ...b.map((line) => ({ op: "+", line }))] };
+  }
+
+  // LCS table (suffix lengths)
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ op: "-", line: a[i++] });
+    } else {
+      lines.push({ op: "+", line: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ op: "-", line: a[i++] });
+  while (j < b.length) lines.push({ op: "+", line: b[j++] });
+
+  return { truncated: false, lines };
+}
+
+function diffKV(from, to, { textDiff = false } = {}) {
+  const a = from || {};
+  const b = to || {};
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const k of Object.keys(b).sort()) {
+    if (!(k in a)) added.push({ key: k, value: b[k] });
+    else if (a[k] !== b[k]) {
+      changed.push(textDiff ? { key: k, ...lineDiff(a[k], b[k]) } : { key: k, from: a[k], to: b[k] });
+    }
+  }
+  for (const k of Object.keys(a).sort()) {
+    if (!(k in b)) removed.push({ key: k, value: a[k] });
+  }
+
+  return { added, removed, changed };
+}
+
+const INTENT_FIELDS = ["intent_type", "priority", "triggers_he", "triggers_en", "triggers_ru"];
+
+const LEAD_RULE_FIELDS = ["required", "validator", "value", "exceptions"];
+const WEBHOOK_FIELDS = ["event_types", "url", "format", "template", "headers", "enabled"];
+
+// Rows keyed by `idKey`; changed rows list only the fields that moved.
+function diffRows(from, to, idKey, fieldNames) {
+  const byId = (rows) => new Map((rows || []).map((r) => [r[idKey], r]));
+  const a = byId(from);
+  const b = byId(to);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [id, row] of b) {
+    const prev = a.get(id);
+    if (!prev) {
+      added.push(row);
+      continue;
+    }
+    const fields = {};
+    for (const f of fieldNames) {
+      // Webhook templates / headers / event types are objects; compare their JSON.
+      if (JSON.stringify(prev[f]) !== JSON.stringify(row[f])) fields[f] = { from: prev[f], to: row[f] };
+    }
+    if (Object.keys(fields).length) changed.push({ [idKey]: id, fields });
+  }
+  for (const [id, row] of a) {
+    if (!b.has(id)) removed.push(row);
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * diffSSOT(from, to) -> { settings, prompts, intents, lead_rules, webhooks, identical }
+ * `from` / `to` are SSOT snapshots ({ settings, prompts, intents, lead_rules, webhooks }).
+ */
+function diffSSOT(from, to) {
+  const settings = diffKV(from?.settings, to?.settings);
+  const prompts = diffKV(from?.prompts, to?.prompts, { textDiff: true });
+  const intents = diffRows(from?.intents, to?.intents, "intent_id", INTENT_FIELDS);
+  const lead_rules = diffRows(from?.lead_rules, to?.lead_rules, "field", LEAD_RULE_FIELDS);
+  const webhooks = diffRows(from?.webhooks, to?.webhooks, "destination_id", WEBHOOK_FIELDS);
+
+  const identical = [settings, prompts, intents, lead_rules, webhooks].every(
+    (d) => !d.added.length && !d.removed.length && !d.changed.length
+  );
+
+  return { identical, settings, prompts, intents, lead_rules, webhooks };
+}
+
+module.exports = { diffSSOT };
@@ -0,0 +1,409 @@
+"use strict";
+
+// SSOT parsing + validation.
+// Every provider hands over raw rows (Sheets rows, or documents flattened to rows)
+// and this module turns them into the cache shape while reporting problems that
+// used to be silently dropped:
+// - errors   -> the reload is rejected and the previous good cache stays active
+// - warnings -> the reload is applied, but the issue is reported
+//
+// Issue shape: { level, sheet, row, key, code, message }
+
+const { LEAD_RULE_VALIDATORS, FIELD_RE, patternProblem, compileLeadRule } = require("../stage4/leadRules");
+const { EVENT_TYPES, FORMATS, templateProblems } = require("../webhooks/mapping");
+
+const SUPPORTED_LANGUAGES = ["he", "en", "ru"];
+
+// Gemini Live prebuilt voices (unknown names only warn; Google adds voices over time).
+const KNOWN_VOICES = new Set([
+  "Zephyr", "Puck", "Charon", "Kore", "Fenrir", "Leda", "Orus", "Aoede", "Callirrhoe", "Autonoe",
+  "Enceladus", "Iapetus", "Umbriel", "Algieba", "Despina", "Erinome", "Algenib", "Rasalgethi",
+  "Laomedeia", "Achernar", "Alnilam", "Schedar", "Gacrux", "Pulcherrima", "Achird",
+  "Zubenelgenubi", "Vindemiatrix", "Sadachbia", "Sadaltager", "Sulafat"
+]);
+
+// Known SETTINGS keys. Other keys are allowed (they are passed to the model as context).
+const SETTINGS_SPEC = {
+  OPENING_SCRIPT: { type: "string", recommended: true },
+  CLOSING_SCRIPT: { type: "string" },
+  SHUTDOWN_APOLOGY: { type: "string" },
+  DEFAULT_LANGUAGE: { type: "enum", values: SUPPORTED_LANGUAGES, recommended: true },
+  SUBJECT_MIN_WORDS: { type: "int", min: 1, max: 30 },
+  VOICE_NAME: { type: "voice" },
+  BUSINESS_NAME: { type: "string", recommended: true },
+  BOT_NAME: { type: "string" },
+  MAIN_PHONE: { type: "string" },
+  BUSINESS_EMAIL: { type: "email" },
+  BUSINESS_ADDRESS: { type: "string" },
+  WORKING_HOURS: { type: "string" },
+  BUSINESS_WEBSITE_URL: { type: "url" },
+  SILENCE_PROMPT_1: { type: "string" },
+  SILENCE_PROMPT_2: { type: "string" },
+  SILENCE_PROMPT_3: { type: "string" },
+  // Turn-taking (override MB_LOCAL_VAD / MB_VAD_* env per business)
+  VAD_ENABLED: { type: "bool" },
+  VAD_THRESHOLD: { type: "float", min: 0, max: 1 },
+  VAD_PREFIX_MS: { type: "int", min: 0, max: 2000 },
+  VAD_SILENCE_MS: { type: "int", min: 100, max: 5000 },
+  // Keypad menu: intent:<intent_id> | end_call | repeat | free text (logic/dtmfInput)
+  ...Object.fromEntries(Array.from({ length: 10 }, (_, d) => [`DTMF_${d}`, { type: "string" }]))
+};
+
+// PROMPTS ids the bot actually reads.
+const PROMPTS_SPEC = {
+  MASTER_PROMPT: { recommended: true },
+  GUARDRAILS_PROMPT: {},
+  KB_PROMPT: {},
+  LEAD_CAPTURE_PROMPT: {},
+  INTENT_ROUTER_PROMPT: {},
+  LEAD_PARSER_PROMPT: {}
+};
+
+function cell(v) {
+  return v === undefined || v === null ? "" : String(v);
+}
+
+function createReport() {
+  const errors = [];
+  const warnings = [];
+  return {
+    errors,
+    warnings,
+    error(sheet, row, key, code, message) {
+      errors.push({ level: "error", sheet, row, key, code, message });
+    },
+    warn(sheet, row, key, code, message) {
+      warnings.push({ level: "warning", sheet, row, key, code, message });
+    }
+  };
+}
+
+function validateSettingValue(r, row, key, value) {
+  const spec = SETTINGS_SPEC[key];
+  if (!spec) return;
+  const v = value.trim();
+  if (!v) return; // empty -> defaults apply; "recommended" check happens later
+
+  if (spec.type === "int") {
+    if (!/^-?\d+$/.test(v)) {
+      r.error("SETTINGS", row, key, "invalid_int", `${key} must be an integer, got "${v}"`);
+      return;
+    }
+    const n = parseInt(v, 10);
+    if ((spec.min !== undefined && n < spec.min) || (spec.max !== undefined && n > spec.max)) {
+      r.error("SETTINGS", row, key, "out_of_range", `${key} must be between ${spec.min} and ${spec.max}, got ${n}`);
+    }
+    return;
+  }
+
+  if (spec.type === "float") {
+    const n = Number(v);
+    if (!Number.isFinite(n)) {
+      r.error("SETTINGS", row, key, "invalid_float", `${key} must be a number, got "${v}"`);
+      return;
+    }
+    if ((spec.min !== undefined && n < spec.min) || (spec.max !== undefined && n > spec.max)) {
+      r.error("SETTINGS", row, key, "out_of_range", `${key} must be between ${spec.min} and ${spec.max}, got ${n}`);
+    }
+    return;
+  }
+
+  if (spec.type === "bool" && !/^(true|false)$/i.test(v)) {
+    r.error("SETTINGS", row, key, "invalid_bool", `${key} must be true or false, got "${v}"`);
+    return;
+  }
+
+  if (spec.type === "enum" && !spec.values.includes(v)) {
+    r.error("SETTINGS", row, key, "invalid_value", `${key} must be one of ${spec.values.join("/")}, got "${v}"`);
+    return;
+  }
+
+  if (spec.type === "voice" && !KNOWN_VOICES.has(v)) {
+    r.warn("SETTINGS", row, key, "unknown_voice", `${key} "${v}" is not a known Gemini prebuilt voice`);
+    return;
+  }
+
+  if (spec.type === "email" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v)) {
+    r.warn("SETTINGS", row, key, "invalid_email", `${key} does not look like an email address`);
+    return;
+  }
+
+  if (spec.type === "url" && !/^https?:\/\//i.test(v)) {
+    r.warn("SETTINGS", row, key, "invalid_url", `${key} should start with http:// or https://`);
+  }
+}
+
+function parseSettings(rows, rowBase, r) {
+  const out = {};
+  const seenAt = {};
+  (rows || []).forEach((raw, i) => {
+    const row = rowBase + i;
+    const k = cell(raw?.[0]).trim();
+    const v = cell(raw?.[1]);
+    if (!k) {
+      if (v.trim()) r.warn("SETTINGS", row, "", "missing_key", "Row has a value but no key; ignored");
+      return;
+    }
+    if (seenAt[k]) {
+      r.warn("SETTINGS", row, k, "duplicate_key", `${k} already defined on row ${seenAt[k]}; this row wins`);
+    }
+    seenAt[k] = row;
+    validateSettingValue(r, row, k, v);
+    out[k] = v;
+  });
+
+  for (const [key, spec] of Object.entries(SETTINGS_SPEC)) {
+    if (spec.recommended && !cell(out[key]).trim()) {
+      r.warn("SETTINGS", null, key, "missing_recommended", `${key} is not set; built-in default is used`);
+    }
+  }
+  return out;
+}
+
+function parsePrompts(rows, rowBase, r) {
+  const out = {};
+  const seenAt = {};
+  (rows || []).forEach((raw, i) => {
+    const row = rowBase + i;
+    const id = cell(raw?.[0]).trim();
+    const content = cell(raw?.[1]);
+    if (!id) {
+      if (content.trim()) r.warn("PROMPTS", row, "", "missing_id", "Row has content but no prompt id; ignored");
+      return;
+    }
+    if (seenAt[id]) {
+      r.error("PROMPTS", row, id, "duplicate_id", `${id} already defined on row ${seenAt[id]}`);
+    }
+    seenAt[id] = row;
+    if (!PROMPTS_SPEC[id]) {
+      r.warn("PROMPTS", row, id, "unknown_prompt_id", `${id} is not read by the bot (typo?)`);
+    }
+    if (!content.trim()) r.warn("PROMPTS", row, id, "empty_prompt", `${id} is empty`);
+    out[id] = content;
+  });
+
+  for (const [id, spec] of Object.entries(PROMPTS_SPEC)) {
+    if (spec.recommended && !cell(out[id]).trim()) {
+      r.warn("PROMPTS", null, id, "missing_recommended", `${id} is not set`);
+    }
+  }
+  return out;
+}
+
+function parseIntents(rows, rowBase, r) {
+  const intents = [];
+  const seenAt = {};
+  (rows || []).forEach((raw, i) => {
+    const row = rowBase + i;
+    const intent_id = cell(raw?.[0]).trim();
+    const rest = [1, 2, 3, 4, 5].map((c) => cell(raw?.[c]).trim());
+    if (!intent_id) {
+      if (rest.some(Boolean)) r.warn("INTENTS", row, "", "missing_intent_id", "Row has data but no intent_id; ignored");
+      return;
+    }
+    if (seenAt[intent_id]) {
+      r.error("INTENTS", row, intent_id, "duplicate_intent_id", `${intent_id} already defined on row ${seenAt[intent_id]}`);
+    }
+    seenAt[intent_id] = row;
+
+    const priorityRaw = rest[1];
+    let priority = 0;
+    if (priorityRaw) {
+      priority = Number(priorityRaw);
+      if (!Number.isFinite(priority)) {
+        r.error("INTENTS", row, intent_id, "invalid_priority", `priority must be a number, got "${priorityRaw}"`);
+        priority = 0;
+      }
+    }
+
+    if (!rest[0]) r.warn("INTENTS", row, intent_id, "missing_intent_type", "intent_type is empty");
+
+    const [he, en, ru] = [rest[2], rest[3], rest[4]];
+    if (!he && !en && !ru) {
+      r.error("INTENTS", row, intent_id, "empty_triggers", "All trigger cells are empty; intent can never match");
+    } else if (!he) {
+      r.warn("INTENTS", row, intent_id, "empty_triggers_he", "triggers_he is empty");
+    }
+
+    intents.push({
+      intent_id,
+      intent_type: rest[0],
+      priority,
+      triggers_he: cell(raw?.[3]),
+      triggers_en: cell(raw?.[4]),
+      triggers_ru: cell(raw?.[5])
+    });
+  });
+  return intents;
+}
+
+// Length cap and syntax (stage4/leadRules): these run on every call, under a match time limit.
+function checkPattern(r, row, field, column, pattern) {
+  const problem = patternProblem(pattern);
+  if (problem) r.error("LEAD_RULES", row, field, "invalid_regex", `${column} is not a usable regex: ${problem}`);
+}
+
+// Columns: field | required | validator | value | exceptions (see stage4/leadRules).
+function parseLeadRules(rows, rowBase, r) {
+  const rules = [];
+  const seenAt = {};
+  (rows || []).forEach((raw, i) => {
+    const row = rowBase + i;
+    const field = cell(raw?.[0]).trim().toLowerCase();
+    const [requiredRaw, validatorRaw, value, exceptions] = [1, 2, 3, 4].map((c) => cell(raw?.[c]).trim());
+    if (!field) {
+      if (requiredRaw || validatorRaw || value || exceptions) {
+        r.warn("LEAD_RULES", row, "", "missing_field", "Row has data but no field; ignored");
+      }
+      return;
+    }
+    if (!FIELD_RE.test(field)) {
+      r.error("LEAD_RULES", row, field, "invalid_field", "field must be lower_snake_case (a-z, 0-9, _)");
+      return;
+    }
+    if (seenAt[field]) {
+      r.error("LEAD_RULES", row, field, "duplicate_field", `${field} already defined on row ${seenAt[field]}`);
+    }
+    seenAt[field] = row;
+
+    if (requiredRaw && !/^(true|false)$/i.test(requiredRaw)) {
+      r.error("LEAD_RULES", row, field, "invalid_bool", `required must be true or false, got "${requiredRaw}"`);
+    }
+    const validator = validatorRaw.toLowerCase();
+    if (!LEAD_RULE_VALIDATORS.includes(validator)) {
+      r.error(
+        "LEAD_RULES",
+        row,
+        field,
+        "invalid_validator",
+        `validator must be one of ${LEAD_RULE_VALIDATORS.filter(Boolean).join("/")} or empty, got "${validatorRaw}"`
+      );
+    }
+    if (validator === "min_words" && !/^\d+$/.test(value)) {
+      r.error("LEAD_RULES", row, field, "invalid_int", `min_words needs a word count in value, got "${value}"`);
+    }
+    if (validator === "regex") {
+      if (!value) r.error("LEAD_RULES", row, field, "missing_pattern", "regex validator needs a pattern in value");
+      checkPattern(r, row, field, "value", value);
+    }
+    checkPattern(r, row, field, "exceptions", exceptions);
+
+    const rule = {
+      field,
+      // Empty means required: a listed field is usually one the business needs.
+      required: !/^false$/i.test(requiredRaw),
+      validator,
+      value,
+      exceptions
+    };
+    compileLeadRule(rule); // compiled once here, reused by every call's finalize
+    rules.push(rule);
+  });
+
+  if (rules.length && !rules.some((x) => x.required)) {
+    r.warn("LEAD_RULES", null, "", "no_required_fields", "No field is required; every call with a caller will be FINAL");
+  }
+  return rules;
+}
+
+const DESTINATION_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+// JSON cell -> value; reports and returns undefined when it does not parse.
+function jsonCell(r, row, id, column, text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    r.error("WEBHOOKS", row, id, "invalid_json", `${column} is not valid JSON: ${e.message}`);
+    return undefined;
+  }
+}
+
+// Columns: destination_id | event_type | url | format | template | headers | enabled (see webhooks/mapping).
+function parseWebhooks(rows, rowBase, r) {
+  const destinations = [];
+  const seenAt = {};
+  (rows || []).forEach((raw, i) => {
+    const row = rowBase + i;
+    const id = cell(raw?.[0]).trim();
+    const [typesRaw, url, formatRaw, templateRaw, headersRaw, enabledRaw] = [1, 2, 3, 4, 5, 6].map((c) =>
+      cell(raw?.[c]).trim()
+    );
+    if (!id) {
+      if (typesRaw || url || templateRaw) r.warn("WEBHOOKS", row, "", "missing_destination_id", "Row has data but no destination_id; ignored");
+      return;
+    }
+    if (!DESTINATION_ID_RE.test(id)) {
+      r.error("WEBHOOKS", row, id, "invalid_destination_id", "destination_id may use letters, digits, _ and - (max 64)");
+      return;
+    }
+    if (seenAt[id]) {
+      r.error("WEBHOOKS", row, id, "duplicate_destination_id", `${id} already defined on row ${seenAt[id]}`);
+    }
+    seenAt[id] = row;
+
+    const event_types = typesRaw
+      .split(",")
+      .map((t) => t.trim().toUpperCase())
+      .filter(Boolean);
+    if (!event_types.length) r.error("WEBHOOKS", row, id, "missing_event_type", `event_type must be ${EVENT_TYPES.join("/")}`);
+    for (const t of event_types) {
+      if (!EVENT_TYPES.includes(t)) {
+        r.error("WEBHOOKS", row, id, "invalid_event_type", `event_type must be ${EVENT_TYPES.join("/")}, got "${t}"`);
+      }
+    }
+
+    if (!/^https?:\/\//i.test(url)) r.error("WEBHOOKS", row, id, "invalid_url", "url must start with http:// or https://");
+
+    const format = (formatRaw || "json").toLowerCase();
+    if (!FORMATS.includes(format)) {
+      r.error("WEBHOOKS", row, id, "invalid_format", `format must be ${FORMATS.join("/")}, got "${formatRaw}"`);
+    }
+
+    const template = jsonCell(r, row, id, "template", templateRaw);
+    const headers = jsonCell(r, row, id, "headers", headersRaw);
+    if (headers !== null && headers !== undefined && (typeof headers !== "object" || Array.isArray(headers))) {
+      r.error("WEBHOOKS", row, id, "invalid_headers", "headers must be a JSON object");
+    }
+    for (const problem of templateProblems([url, template, headers])) {
+      r.error("WEBHOOKS", row, id, "invalid_placeholder", problem);
+    }
+
+    if (enabledRaw && !/^(true|false)$/i.test(enabledRaw)) {
+      r.error("WEBHOOKS", row, id, "invalid_bool", `enabled must be true or false, got "${enabledRaw}"`);
+    }
+
+    destinations.push({
+      destination_id: id,
+      event_types,
+      url,
+      format,
+      template: template === undefined ? null : template,
+      headers: headers && typeof headers === "object" && !Array.isArray(headers) ? headers : {},
+      enabled: !/^false$/i.test(enabledRaw)
+    });
+  });
+  return destinations;
+}
+
+/**
+ * parseSSOTRows({ settingsRows, promptsRows, intentsRows, leadRulesRows, webhooksRows, rowBase })
+ * rowBase: number of the first data row (2 for sheets with a header row).
+ * Returns { data: { settings, prompts, intents, lead_rules, webhooks }, report: { ok, errors, warnings } }
+ */
+function parseSSOTRows({ settingsRows, promptsRows, intentsRows, leadRulesRows, webhooksRows, rowBase = 2 }) {
+  const r = createReport();
+  const data = {
+    settings: parseSettings(settingsRows, rowBase, r),
+    prompts: parsePrompts(promptsRows, rowBase, r),
+    intents: parseIntents(intentsRows, rowBase, r),
+    lead_rules: parseLeadRules(leadRulesRows, rowBase, r),
+    webhooks: parseWebhooks(webhooksRows, rowBase, r)
+  };
+  return {
+    data,
+    report: { ok: r.errors.length === 0, errors: r.errors, warnings: r.warnings }
+  };
+}
+
+module.exports = { parseSSOTRows, SETTINGS_SPEC, PROMPTS_SPEC };
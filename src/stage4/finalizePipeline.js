@@ -6,28 +6,46 @@
  * Input (from vendor/geminiLiveSession.js):
  *   finalizePipeline({
  *     snapshot: {
- *       call: { callSid, streamSid, caller, called, source, started_at, ended_at, duration_ms, caller_withheld, finalize_reason, ... },
- *       lead: { full_name, subject, callback_to_number, subject_min_words, notes }
+ *       call: { callSid, streamSid, caller, called, source, started_at, ended_at, duration_ms, caller_withheld, ssot_version, ssot_hash, finalize_reason, latency, ... },
+ *       lead: { full_name, subject, callback_to_number, fields, subject_min_words, sources, notes },
+ *       lead_rules: [ { field, required, validator, value, exceptions } ]   (SSOT LEAD_RULES; optional)
  *     },
- *     env,
+ *     env,      // tenant-scoped env (tenants/tenantRegistry) when multi-tenant
  *     logger,
  *     senders: {
- *       sendCallLog(payload),
- *       sendFinal(payload),
- *       sendAbandoned(payload),
- *       resolveRecording(): { recording_provider, recording_sid, recording_url_public } (best-effort)
+ *       sendCallLog(payload, context),
+ *       sendFinal(payload, context),
+ *       sendAbandoned(payload, context),
+ *         context: { call: snapshot.call, lead: merged lead } for per-destination mapping (webhooks/mapping)
+ *       resolveRecording(): { recording_provider: "twilio" | "local", recording_sid, recording_url_public } (best-effort)
+ *       parseLead(known): { full_name, subject, reason, phone_additional, parsing_summary } | null
+ *         (stage4/postcallLeadParser; omitted when the parser is disabled)
  *     }
  *   })
  *
  * Requirements (Locked):
  * - Only 3 webhooks: CALL_LOG / FINAL / ABANDONED
- * - FINAL lead means: name + subject + phone (identified or provided)
+ * - FINAL lead means: every required LEAD_RULES field present and valid
+ *   (default: name + subject + phone, identified or provided)
+ * - ABANDONED decision_reason lists every failed rule, comma-separated
  * - caller (identified) must ALWAYS be included even if callback_to_number is different
  * - FINAL and ABANDONED are mutually exclusive (XOR)
  * - Recording metadata included in FINAL/ABANDONED whenever available
+ * - Per-call latency summary (calls/turnLatency: turns, p50/p95 response ms) included in FINAL/ABANDONED
  * - Never throws outward (must not break voice)
+ *
+ * Post-call parser (LEAD_PARSER_MODE=postcall):
+ * - runs before the FINAL/ABANDONED decision, bounded by LEAD_PARSER_TIMEOUT_MS;
+ *   on timeout / error the deterministic lead is used as-is
+ * - precedence per field (mergeParsedLead):
+ *     full_name, subject   tool call > parser > transcript regex
+ *     callback_to_number   caller ID / tool / transcript; parser only fills a missing one
+ *     reason, summary      parser only
+ * - `summary` (LEAD_SUMMARY_STYLE) and `lead_parser` status go into FINAL and ABANDONED
  */
 
+const { defaultLeadRules, evaluateLeadRules } = require("./leadRules");
+
 function safeStr(v) {
   const s = typeof v === "string" ? v.trim() : "";
   return s || "";
@@ -51,42 +69,95 @@ function subjectMinWordsFrom(lead) {
   return Number.isFinite(n) && n > 0 ? n : 3;
 }
 
-function subjectIsValid(subject, minWords) {
-  const s = safeStr(subject);
-  if (!s) return false;
-  const words = s.split(/\s+/).filter(Boolean);
-  if (words.length >= minWords) return true;
+// Digits the parser heard ("050-1234567") -> E.164 like the realtime capture; else "".
+function normalizeParsedPhone(v) {
+  const digits = safeStr(v).replace(/\D/g, "");
+  if (digits.startsWith("972") && digits.length === 12) return `+${digits}`;
+  if (digits.startsWith("0") && (digits.length === 9 || digits.length === 10)) return `+972${digits.slice(1)}`;
+  return "";
+}
 
-  // Allow certain short “call back” intents as a subject to avoid empty leads.
-  // (matches what you already do in the vendor capture logic)
-  if (/לחזור\s+אל(י|יי)|תחזור\s+אל(י|יי)|שיחזרו\s+אל(י|יי)|תתקשר(ו)?\s+אל(י|יי)/.test(s)) {
-    return true;
+function mergeParsedLead(lead, parsed) {
+  const merged = { ...lead, sources: { ...(lead?.sources || {}) }, reason: "", phone_additional: "", parsing_summary: "" };
+  if (!parsed) return merged;
+
+  for (const field of ["full_name", "subject"]) {
+    const v = safeStr(parsed[field]);
+    if (v && merged.sources[field] !== "tool") {
+      merged[field] = v;
+      merged.sources[field] = "parser";
+    }
   }
-  return false;
+
+  const extraPhone = normalizePhoneLike(normalizeParsedPhone(parsed.phone_additional));
+  if (extraPhone) {
+    merged.phone_additional = extraPhone;
+    if (!safeStr(merged.callback_to_number)) {
+      merged.callback_to_number = extraPhone;
+      merged.sources.callback_to_number = "parser";
+    }
+  }
+
+  merged.reason = safeStr(parsed.reason);
+  merged.parsing_summary = safeStr(parsed.parsing_summary);
+  return merged;
 }
 
-function leadGate({ lead, call }) {
-  // Locked definition:
-  // FINAL = full_name + subject + phone (identified caller OR provided callback number).
-  const name = safeStr(lead?.full_name);
-  const subject = safeStr(lead?.subject);
-  const caller = normalizePhoneLike(call?.caller);
-  const callback = normalizePhoneLike(lead?.callback_to_number);
+const SUMMARY_MAX_CHARS = 500;
+
+// LEAD_SUMMARY_STYLE: crm_short (one line) | crm_detailed (labelled lines) | none
+function buildLeadSummary(lead, style) {
+  const s = safeStr(style).toLowerCase() || "crm_short";
+  if (s === "none") return "";
+
+  if (s === "crm_detailed") {
+    const lines = [
+      ["שם", lead.full_name],
+      ["נושא", lead.subject],
+      ["סיבת פנייה", lead.reason],
+      ["טלפון לחזרה", lead.callback_to_number],
+      ["טלפון נוסף", lead.phone_additional !== lead.callback_to_number ? lead.phone_additional : ""],
+      ["סיכום", lead.parsing_summary]
+    ]
+      .filter(([, v]) => safeStr(v))
+      .map(([label, v]) => `${label}: ${safeStr(v)}`);
+    return lines.join("\n").slice(0, SUMMARY_MAX_CHARS);
+  }
 
-  if (!name) return { ok: false, reason: "missing_name" };
+  const line = safeStr(lead.parsing_summary) || [lead.subject, lead.reason].map(safeStr).filter(Boolean).join(" – ");
+  return line.slice(0, SUMMARY_MAX_CHARS);
+}
 
-  const minWords = subjectMinWordsFrom(lead);
-  if (!subjectIsValid(subject, minWords)) return { ok: false, reason: "missing_subject" };
+const PARSER_TIMEOUT = Symbol("parser_timeout");
 
-  // "phone" requirement:
-  // - caller (identified) always included when present
-  // - callback_to_number must exist for FINAL (even if equals caller)
-  // - if caller is withheld, callback must be provided
-  if (!callback) return { ok: false, reason: "missing_callback_number" };
+// -> { status: "ok" | "empty" | "timeout" | "failed" | "disabled", parsed }
+async function runLeadParser(senders, lead, timeoutMs) {
+  if (typeof senders?.parseLead !== "function") return { status: "disabled", parsed: null };
 
-  // If caller exists (identified), we still require it to be included in payload,
-  // but for gating we don't fail if caller is withheld/empty as long as callback exists.
-  return { ok: true };
+  let timer = null;
+  const budget = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(PARSER_TIMEOUT), Math.max(0, timeoutMs));
+  });
+  try {
+    const known = { full_name: safeStr(lead?.full_name), subject: safeStr(lead?.subject) };
+    const parsed = await Promise.race([Promise.resolve().then(() => senders.parseLead(known)), budget]);
+    if (parsed === PARSER_TIMEOUT) return { status: "timeout", parsed: null };
+    return parsed ? { status: "ok", parsed } : { status: "empty", parsed: null };
+  } catch {
+    return { status: "failed", parsed: null };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// FINAL requirements come from the SSOT LEAD_RULES sheet (stage4/leadRules); without it,
+// the built-in rules: full_name + subject (min words or a "call me back" phrase) +
+// callback_to_number. An identified caller is always included in the payload, but a
+// callback number is what the gate requires (caller ID pre-fills it).
+function leadGate({ lead, rules }) {
+  const active = Array.isArray(rules) && rules.length ? rules : defaultLeadRules({ subjectMinWords: subjectMinWordsFrom(lead) });
+  const result = evaluateLeadRules(active, lead);
+  return { ...result, reason: result.reasons.join(",") };
 }
 
 function buildCallPayload(call) {
@@ -98,10 +169,14 @@ function buildCallPayload(call) {
     caller_withheld: !!c.caller_withheld,
     called: safeStr(c.called) || "",
     source: safeStr(c.source) || "",
+    tenant_id: safeStr(c.tenant_id) || "",
     started_at: safeStr(c.started_at) || "",
     ended_at: safeStr(c.ended_at) || "",
     duration_ms: typeof c.duration_ms === "number" ? c.duration_ms : null,
-    finalize_reason: safeStr(c.finalize_reason) || ""
+    ssot_version: typeof c.ssot_version === "number" ? c.ssot_version : null,
+    ssot_hash: safeStr(c.ssot_hash) || "",
+    finalize_reason: safeStr(c.finalize_reason) || "",
+    latency: c.latency && typeof c.latency === "object" ? { ...c.latency } : null
   };
 }
 
@@ -131,10 +206,10 @@ async function safeResolveRecording(senders) {
   }
 }
 
-async function safeSend(fn, payload) {
+async function safeSend(fn, payload, context) {
   try {
     if (typeof fn !== "function") return;
-    await fn(payload);
+    await fn(payload, context);
   } catch {
     // swallow: never break voice
   }
@@ -144,7 +219,24 @@ async function finalizePipeline({ snapshot, env, logger, senders }) {
   const log = logger || console;
   const s = snapshot || {};
   const call = s.call || {};
-  const lead = s.lead || {};
+
+  // Recording lookup runs alongside the parser; both are awaited before any webhook.
+  const recordingPromise = safeResolveRecording(senders);
+
+  // ---- Post-call parser, bounded; the merged lead drives the decision below
+  const parserTimeoutMs = Number(env?.LEAD_PARSER_TIMEOUT_MS ?? 4000);
+  const parser = await runLeadParser(senders, s.lead || {}, Number.isFinite(parserTimeoutMs) ? parserTimeoutMs : 4000);
+  const lead = mergeParsedLead(s.lead || {}, parser.parsed);
+  const summary = buildLeadSummary(lead, env?.LEAD_SUMMARY_STYLE);
+  if (parser.status !== "disabled") {
+    try {
+      log.info?.("Lead parser merged", {
+        callSid: safeStr(call.callSid),
+        status: parser.status,
+        sources: lead.sources
+      });
+    } catch {}
+  }
 
   // ---- Idempotency guard (XOR) - vendor already guards, but keep safe
   // We intentionally do NOT maintain global state here (stateless finalize).
@@ -159,11 +251,16 @@ async function finalizePipeline({ snapshot, env, logger, senders }) {
   const leadPayload = {
     full_name: safeStr(lead.full_name) || "",
     subject: safeStr(lead.subject) || "",
-    callback_to_number: normalizePhoneLike(lead.callback_to_number) || ""
+    callback_to_number: normalizePhoneLike(lead.callback_to_number) || "",
+    reason: lead.reason || "",
+    phone_additional: lead.phone_additional || ""
   };
 
+  // What mapped webhook destinations can reference besides the built-in payload.
+  const mappingContext = { call, lead };
+
   // ---- Decide FINAL vs ABANDONED (GilSport XOR)
-  const gate = leadGate({ lead, call: callPayload });
+  const gate = leadGate({ lead, rules: s.lead_rules });
 
   // ---- CALL_LOG semantics
   // Your baseline currently triggers CALL_LOG via senders.sendCallLog in vendor.
@@ -171,14 +268,18 @@ async function finalizePipeline({ snapshot, env, logger, senders }) {
   // vendor should have already done start; we do end only when CALL_LOG_AT_END=true.
   const callLogAtEnd = toBool(env?.CALL_LOG_AT_END);
   if (callLogAtEnd) {
-    await safeSend(senders?.sendCallLog, {
-      event_type: "CALL_LOG",
-      ...callPayload
-    });
+    await safeSend(
+      senders?.sendCallLog,
+      {
+        event_type: "CALL_LOG",
+        ...callPayload
+      },
+      mappingContext
+    );
   }
 
   // ---- Recording: best effort resolve and attach to FINAL/ABANDONED payload
-  const recResolved = await safeResolveRecording(senders);
+  const recResolved = await recordingPromise;
   // Fallback from snapshot if present (some implementations may include it later)
   const recFallback = {
     recording_provider: "twilio",
@@ -193,6 +294,10 @@ async function finalizePipeline({ snapshot, env, logger, senders }) {
       lead_decision: "FINAL",
       ...callPayload,
       ...leadPayload,
+      // Extra LEAD_RULES fields (e.g. email, branch) captured during the call
+      fields: { ...(lead.fields || {}) },
+      summary,
+      lead_parser: parser.status,
 
       // Locked rule: identified caller must ALWAYS be included even if callback differs
       // (already included as caller_id_e164)
@@ -204,7 +309,7 @@ async function finalizePipeline({ snapshot, env, logger, senders }) {
     // Safety: if caller is present, ensure it is not lost even if callback differs
     if (!payload.caller_id_e164) payload.caller_id_e164 = normalizePhoneLike(call?.caller) || "";
 
-    await safeSend(senders?.sendFinal, payload);
+    await safeSend(senders?.sendFinal, payload, mappingContext);
     return { ok: true, event: "FINAL" };
   }
 
@@ -213,7 +318,11 @@ async function finalizePipeline({ snapshot, env, logger, senders }) {
     event_type: "ABANDONED",
     lead_decision: "ABANDONED",
     ...callPayload,
-    decision_reason: gate.reason || "abandoned"
+    decision_reason: gate.reason || "abandoned",
+    missing_fields: gate.missing_fields || [],
+    invalid_fields: gate.invalid_fields || [],
+    summary,
+    lead_parser: parser.status
   };
 
   mergeRecordingInto(payload, recResolved, recFallback);
@@ -221,14 +330,14 @@ async function finalizePipeline({ snapshot, env, logger, senders }) {
   // Always keep caller_id_e164 if exists
   if (!payload.caller_id_e164) payload.caller_id_e164 = normalizePhoneLike(call?.caller) || "";
 
-  await safeSend(senders?.sendAbandoned, payload);
+  await safeSend(senders?.sendAbandoned, payload, mappingContext);
 
   // Do not throw; log minimal
   try {
     log.info?.("Finalize complete", { callSid: callPayload.callSid, event: "ABANDONED", reason: payload.decision_reason });
   } catch {}
 
-  return { ok: true, event: "ABANDONED" };
+  return { ok: true, event: "ABANDONED", reason: payload.decision_reason };
 }
 
-module.exports = { finalizePipeline };
+module.exports = { finalizePipeline, leadGate, mergeParsedLead, buildLeadSummary };
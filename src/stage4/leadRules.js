@@ -0,0 +1,207 @@
+"use strict";
+
+// src/stage4/leadRules.js
+// FINAL lead requirements per business (SSOT LEAD_RULES sheet).
+//
+// Sheet columns: field | required | validator | value | exceptions
+//   field       full_name | subject | callback_to_number | any other lead field (e.g. email, branch)
+//   required    true / false (false: the field is only validated when present)
+//   validator   "" | min_words | regex | phone | email
+//   value       min_words: word count; regex: pattern (case-insensitive)
+//   exceptions  regex; a value matching it passes even when the validator fails
+//               (e.g. a short "call me back" subject)
+//
+// Sheet patterns run in finalize for every call: they are capped at MAX_PATTERN_LENGTH,
+// each rule is compiled once (cached per rule object) and tested against at most
+// MAX_MATCH_INPUT characters inside a vm context with a MATCH_TIMEOUT_MS budget, so a
+// catastrophically backtracking pattern ("(a|a)*$") cannot block the event loop. A rule
+// whose pattern times out is disabled for the rest of the process, like a broken one.
+//
+// Without LEAD_RULES rows the built-in rules apply (name + subject + callback number).
+// Fields other than the three built-ins are captured into lead.fields by the
+// save_lead_field tool (logic/leadTools).
+
+const vm = require("vm");
+
+const BUILTIN_FIELDS = ["full_name", "subject", "callback_to_number"];
+const LEAD_RULE_VALIDATORS = ["", "min_words", "regex", "phone", "email"];
+const FIELD_RE = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCH_INPUT = 500;
+const MATCH_TIMEOUT_MS = 50;
+
+// Short "call me back" requests count as a subject so the lead is not dropped.
+const CALLBACK_SUBJECT_RE = "לחזור\\s+אל(י|יי)|תחזור\\s+אל(י|יי)|שיחזרו\\s+אל(י|יי)|תתקשר(ו)?\\s+אל(י|יי)";
+
+// Kept as the historical reason codes so CRM filters and dashboards keep working.
+const MISSING_CODES = {
+  full_name: "missing_name",
+  subject: "missing_subject",
+  callback_to_number: "missing_callback_number"
+};
+
+function safeStr(v) {
+  if (v === undefined || v === null) return "";
+  return String(v).trim();
+}
+
+// Memoized so the built-in rules (and their compiled pattern) are shared by every call.
+const DEFAULT_RULES = new Map();
+
+function defaultLeadRules({ subjectMinWords = 3 } = {}) {
+  const key = String(subjectMinWords);
+  if (!DEFAULT_RULES.has(key)) {
+    DEFAULT_RULES.set(
+      key,
+      Object.freeze([
+        { field: "full_name", required: true, validator: "", value: "", exceptions: "" },
+        { field: "subject", required: true, validator: "min_words", value: key, exceptions: CALLBACK_SUBJECT_RE },
+        { field: "callback_to_number", required: true, validator: "", value: "", exceptions: "" }
+      ])
+    );
+  }
+  return DEFAULT_RULES.get(key);
+}
+
+// Why a sheet pattern cannot be used, or "" (ssotSchema reports it as an error).
+function patternProblem(pattern) {
+  if (!pattern) return "";
+  if (pattern.length > MAX_PATTERN_LENGTH) return `longer than ${MAX_PATTERN_LENGTH} characters`;
+  try {
+    void new RegExp(pattern, "i");
+  } catch (e) {
+    return e.message;
+  }
+  return "";
+}
+
+function compilePattern(pattern) {
+  if (!pattern) return null;
+  const problem = patternProblem(pattern);
+  if (problem) throw new Error(problem);
+  return new RegExp(pattern, "i");
+}
+
+// rule object -> { value, exceptions, error }; SSOT rules are warmed by ssotSchema at parse
+// time, anything else (history entries, rollbacks) is compiled on first use.
+const COMPILED = new WeakMap();
+
+function compileLeadRule(rule) {
+  let c = COMPILED.get(rule);
+  if (!c) {
+    c = { value: null, exceptions: null, error: "" };
+    try {
+      if (rule.validator === "regex") c.value = compilePattern(rule.value);
+      c.exceptions = compilePattern(rule.exceptions);
+    } catch (e) {
+      c.error = e.message;
+    }
+    COMPILED.set(rule, c);
+  }
+  return c;
+}
+
+// One shared context; vm's timeout interrupts a runaway match (it throws
+// ERR_SCRIPT_EXECUTION_TIMEOUT) where a plain re.test() would run to completion.
+const MATCH_CONTEXT = vm.createContext(Object.create(null));
+const MATCH_SCRIPT = new vm.Script("re.test(input)");
+
+function testPattern(re, input) {
+  MATCH_CONTEXT.re = re;
+  MATCH_CONTEXT.input = input;
+  try {
+    return MATCH_SCRIPT.runInContext(MATCH_CONTEXT, { timeout: MATCH_TIMEOUT_MS });
+  } finally {
+    MATCH_CONTEXT.re = null;
+    MATCH_CONTEXT.input = null;
+  }
+}
+
+function leadFieldValue(lead, field) {
+  if (BUILTIN_FIELDS.includes(field)) return safeStr(lead?.[field]);
+  return safeStr(lead?.fields?.[field]);
+}
+
+function passesValidator(rule, compiled, value, source) {
+  switch (rule.validator) {
+    case "min_words": {
+      // A tool call or the post-call parser already produced a structured summary
+      // (e.g. "תיקון מזגן"); the word count only applies to transcript guesses.
+      if (source === "tool" || source === "parser") return true;
+      const min = Number(rule.value) > 0 ? Number(rule.value) : 1;
+      return value.split(/\s+/).filter(Boolean).length >= min;
+    }
+    case "regex":
+      return testPattern(compiled.value, value);
+    case "phone": {
+      const digits = value.replace(/[\s\-().]/g, "");
+      return /^\+?\d{9,15}$/.test(digits);
+    }
+    case "email":
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * evaluateLeadRules(rules, lead) -> { ok, reasons, missing_fields, invalid_fields }
+ * Checks every rule (no short-circuit) so ABANDONED can list all gaps at once.
+ * reasons: missing_name | missing_subject | missing_callback_number | missing_<field> | invalid_<field>
+ */
+function evaluateLeadRules(rules, lead) {
+  const reasons = [];
+  const missing = [];
+  const invalid = [];
+
+  for (const rule of rules || []) {
+    const field = rule.field;
+    const value = leadFieldValue(lead, field);
+
+    if (!value) {
+      if (rule.required) {
+        missing.push(field);
+        reasons.push(MISSING_CODES[field] || `missing_${field}`);
+      }
+      continue;
+    }
+
+    // A broken pattern must not turn every lead into ABANDONED.
+    const compiled = compileLeadRule(rule);
+    const input = value.slice(0, MAX_MATCH_INPUT);
+    let ok = true;
+    try {
+      ok = !!compiled.error || passesValidator(rule, compiled, input, lead?.sources?.[field]);
+      if (!ok && compiled.exceptions) ok = testPattern(compiled.exceptions, input);
+    } catch (e) {
+      if (e?.code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") throw e;
+      compiled.error = `matching took longer than ${MATCH_TIMEOUT_MS} ms`;
+      ok = true;
+    }
+    if (!ok && rule.required) {
+      // An invalid subject has always been reported as missing_subject.
+      if (field === "subject") {
+        missing.push(field);
+        reasons.push(MISSING_CODES.subject);
+      } else {
+        invalid.push(field);
+        reasons.push(`invalid_${field}`);
+      }
+    }
+  }
+
+  return { ok: reasons.length === 0, reasons, missing_fields: missing, invalid_fields: invalid };
+}
+
+module.exports = {
+  BUILTIN_FIELDS,
+  LEAD_RULE_VALIDATORS,
+  FIELD_RE,
+  MAX_PATTERN_LENGTH,
+  MATCH_TIMEOUT_MS,
+  defaultLeadRules,
+  patternProblem,
+  compileLeadRule,
+  evaluateLeadRules,
+  leadFieldValue
+};
@@ -3,6 +3,10 @@
 
 // Post-call lead parsing (LLM) similar to GilSport style.
 // Uses Gemini generateContent (API key) and forces STRICT JSON output.
+//
+// Runs inside stage4/finalizePipeline (LEAD_PARSER_MODE=postcall) under a hard time
+// budget (LEAD_PARSER_TIMEOUT_MS): the request is aborted when the budget runs out, so
+// FINAL / ABANDONED are never held up by a slow model.
 
 const { env } = require("../config/env");
 const { logger } = require("../utils/logger");
@@ -46,9 +50,9 @@ function defaultPrompt(known = {}) {
   );
 }
 
-async function callGeminiForJson({ prompt, transcript }) {
-  const apiKey = env.GEMINI_API_KEY;
-  const model = env.LEAD_PARSER_MODEL || "gemini-1.5-flash";
+async function callGeminiForJson({ prompt, transcript, cfg = env, signal }) {
+  const apiKey = cfg.GEMINI_API_KEY;
+  const model = cfg.LEAD_PARSER_MODEL || "gemini-1.5-flash";
   if (!apiKey) throw new Error("GEMINI_API_KEY missing");
 
   const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(
@@ -75,6 +79,7 @@ async function callGeminiForJson({ prompt, transcript }) {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(body),
+    signal,
   });
 
   if (!res.ok) {
@@ -108,8 +113,18 @@ function normalizeParsedLead(raw) {
   return out;
 }
 
-async function parseLeadPostcall({ turns, transcriptText, ssot, known }) {
-  if (!env.LEAD_PARSER_ENABLED) return null;
+function parserEnabled(cfg = env) {
+  const mode = String(cfg.LEAD_PARSER_MODE || "postcall").trim().toLowerCase();
+  return !!cfg.LEAD_PARSER_ENABLED && mode === "postcall";
+}
+
+/**
+ * parseLeadPostcall({ turns | transcriptText, ssot, known, cfg, timeoutMs })
+ * -> { full_name, subject, reason, phone_additional, parsing_summary } | null
+ * null when disabled, when there is nothing to parse, on error and on timeout.
+ */
+async function parseLeadPostcall({ turns, transcriptText, ssot, known, cfg = env, timeoutMs = 0 }) {
+  if (!parserEnabled(cfg)) return null;
   const transcript = (typeof transcriptText === "string" && transcriptText.trim()) ? transcriptText.trim() : buildTranscript(turns);
   if (!transcript) return null;
 
@@ -118,20 +133,24 @@ async function parseLeadPostcall({ turns, transcriptText, ssot, known }) {
   // Post-call parsing must be deterministic JSON.
   const prompt = (ssot?.prompts?.LEAD_PARSER_PROMPT || "").trim() || defaultPrompt(known);
 
+  const ac = new AbortController();
+  const timer = timeoutMs > 0 ? setTimeout(() => ac.abort(), timeoutMs) : null;
   try {
-    const raw = await callGeminiForJson({ prompt, transcript });
+    const raw = await callGeminiForJson({ prompt, transcript, cfg, signal: ac.signal });
     const parsed = normalizeParsedLead(raw);
-    logger.info({ msg: "Postcall lead parsed", meta: { ok: !!raw } });
+    logger.info("Postcall lead parsed", { ok: !!raw });
     return parsed;
   } catch (e) {
-    logger.warn({
-      msg: "Postcall lead parse failed",
-      meta: { err: e && (e.message || String(e)) },
+    logger.warn("Postcall lead parse failed", {
+      err: ac.signal.aborted ? `timeout after ${timeoutMs}ms` : e && (e.message || String(e)),
     });
     return null;
+  } finally {
+    if (timer) clearTimeout(timer);
   }
 }
 
 module.exports = {
   parseLeadPostcall,
+  parserEnabled,
 };
@@ -6,6 +6,7 @@
 
 const { env } = require("../config/env");
 const { logger } = require("../utils/logger");
+const { signedRecordingUrl } = require("../utils/signedUrls");
 
 function basicAuthHeader(accountSid, authToken) {
   const token = Buffer.from(`${accountSid}:${authToken}`).toString("base64");
@@ -41,12 +42,13 @@ async function fetchLatestRecordingByCallSid(callSid) {
     recording_provider: "twilio",
     recording_sid: rec.sid,
     recording_url: rec.uri ? `https://api.twilio.com${rec.uri.replace(".json", "")}` : null,
-    recording_url_public: env.PUBLIC_BASE_URL ? `${env.PUBLIC_BASE_URL}/recordings/${rec.sid}.mp3` : null
+    recording_url_public: signedRecordingUrl(rec.sid) || null
   };
 }
 
-async function resolveTwilioRecording(callSid) {
-  if (!env.MB_ENABLE_RECORDING) return null;
+// `enabled` lets a tenant-scoped recording policy override the global MB_ENABLE_RECORDING.
+async function resolveTwilioRecording(callSid, { enabled = env.MB_ENABLE_RECORDING } = {}) {
+  if (!enabled) return null;
 
   // Twilio may take a few seconds to materialize the recording resource after the call ends.
   // Retry with bounded backoff.
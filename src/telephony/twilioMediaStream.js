@@ -4,7 +4,7 @@
 const { logger } = require("../utils/logger");
 const { env } = require("../config/env");
 const { createGeminiLiveSession } = require("../vendor/geminiLiveSession");
-const { pcm16ToMulaw8kBase64 } = require("../audio/pcm16ToMulaw8k");
+const { createGeminiToTwilioConverter } = require("../audio/twilioGeminiAudio");
 
 function safeJsonParse(s) {
   try { return JSON.parse(s); } catch { return null; }
@@ -23,6 +23,7 @@ async function handleTwilioMediaWs(twilioWs) {
   let gemini = null;
 
   let geminiReady = false;
+  const toTwilio = createGeminiToTwilioConverter({ inRate: 24000 });
   let twilioClosed = false;
 
   function twilioSend(obj) {
@@ -85,7 +86,7 @@ async function handleTwilioMediaWs(twilioWs) {
 
         gemini.on("audio_pcm16le_24000", (pcmBuf) => {
           // Convert PCM16LE 24k -> μ-law 8k (Twilio)
-          const payloadB64 = pcm16ToMulaw8kBase64(pcmBuf);
+          const payloadB64 = toTwilio.convertBuffer(pcmBuf).toString("base64");
           if (!payloadB64) return;
 
           if (streamSid) {
@@ -0,0 +1,166 @@
+"use strict";
+
+// src/tenants/tenantRegistry.js
+// Tenant registry: one process can serve several businesses, routed by the number
+// that was called (Twilio `To`, forwarded as the `called` stream parameter).
+//
+// Tenants come from TENANTS_FILE (JSON/YAML) or TENANTS_JSON. Without either, a
+// single "default" tenant is built from the global env (the pre-tenant behavior).
+//
+// Tenant entry:
+// {
+//   tenant_id: "gilsport",
+//   numbers: ["+97235551234"],
+//   ssot: { provider: "sheets", sheet_id, service_account_b64, file_path, http_url, http_token },
+//   voice_name: "Kore",
+//   webhooks: { call_log_url, final_url, abandoned_url, signing_secret },
+//   recording: { enabled: true, local: false }
+// }
+//
+// Each tenant exposes `env`: the global env with that tenant's overrides applied,
+// so SSOT providers, the session and finalizePipeline keep reading plain env keys.
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { env } = require("../config/env");
+const { logger } = require("../utils/logger");
+
+const DEFAULT_TENANT_ID = "default";
+
+let REGISTRY = null;
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+// Compare numbers by digits only; Israeli local format (0X...) -> 972X....
+function numberKey(n) {
+  const digits = safeStr(n).replace(/\D/g, "");
+  if (!digits) return "";
+  if (digits.startsWith("0") && (digits.length === 9 || digits.length === 10)) return `972${digits.slice(1)}`;
+  return digits;
+}
+
+function readTenantDocs() {
+  const file = safeStr(env.TENANTS_FILE);
+  if (file) {
+    const absPath = path.resolve(file);
+    const text = fs.readFileSync(absPath, "utf8");
+    const ext = path.extname(absPath).toLowerCase();
+    if (ext === ".yaml" || ext === ".yml") return YAML.parse(text);
+    return JSON.parse(text);
+  }
+
+  const inline = safeStr(env.TENANTS_JSON);
+  if (inline) return JSON.parse(inline);
+  return null;
+}
+
+function tenantEnv(doc) {
+  const ssot = doc.ssot || {};
+  const hooks = doc.webhooks || {};
+  const rec = doc.recording || {};
+  const pick = (v, fallback) => (v === undefined || v === null || v === "" ? fallback : v);
+  // A tenant secret signs all of that tenant's events (global per-type secrets do not apply).
+  const signingSecret = safeStr(hooks.signing_secret);
+
+  return {
+    ...env,
+    SSOT_PROVIDER: pick(ssot.provider, env.SSOT_PROVIDER),
+    GSHEET_ID: pick(ssot.sheet_id, env.GSHEET_ID),
+    GOOGLE_SERVICE_ACCOUNT_JSON_B64: pick(ssot.service_account_b64, env.GOOGLE_SERVICE_ACCOUNT_JSON_B64),
+    SSOT_FILE_PATH: pick(ssot.file_path, env.SSOT_FILE_PATH),
+    SSOT_HTTP_URL: pick(ssot.http_url, env.SSOT_HTTP_URL),
+    SSOT_HTTP_TOKEN: pick(ssot.http_token, env.SSOT_HTTP_TOKEN),
+    SSOT_TTL_MS: Number(pick(ssot.ttl_ms, env.SSOT_TTL_MS)),
+    VOICE_NAME_OVERRIDE: pick(doc.voice_name, env.VOICE_NAME_OVERRIDE),
+    CALL_LOG_WEBHOOK_URL: pick(hooks.call_log_url, env.CALL_LOG_WEBHOOK_URL),
+    FINAL_WEBHOOK_URL: pick(hooks.final_url, env.FINAL_WEBHOOK_URL),
+    ABANDONED_WEBHOOK_URL: pick(hooks.abandoned_url, env.ABANDONED_WEBHOOK_URL),
+    ...(signingSecret
+      ? {
+          WEBHOOK_SIGNING_SECRET: signingSecret,
+          WEBHOOK_SIGNING_SECRET_CALL_LOG: "",
+          WEBHOOK_SIGNING_SECRET_FINAL: "",
+          WEBHOOK_SIGNING_SECRET_ABANDONED: ""
+        }
+      : {}),
+    MB_ENABLE_RECORDING: rec.enabled === undefined ? env.MB_ENABLE_RECORDING : rec.enabled === true || rec.enabled === "true",
+    MB_LOCAL_RECORDING: rec.local === undefined ? env.MB_LOCAL_RECORDING : rec.local === true || rec.local === "true"
+  };
+}
+
+function buildRegistry(docs) {
+  const list = Array.isArray(docs) ? docs : Array.isArray(docs?.tenants) ? docs.tenants : null;
+  if (docs && !list) throw new Error("Tenants config must be an array or { tenants: [...] }");
+
+  const tenants = new Map();
+  const byNumber = new Map();
+
+  for (const doc of list || []) {
+    const tenant_id = safeStr(doc?.tenant_id);
+    if (!tenant_id) throw new Error("Tenant entry without tenant_id");
+    if (tenants.has(tenant_id)) throw new Error(`Duplicate tenant_id: ${tenant_id}`);
+
+    const numbers = (Array.isArray(doc.numbers) ? doc.numbers : []).map(safeStr).filter(Boolean);
+    for (const n of numbers) {
+      const key = numberKey(n);
+      if (!key) continue;
+      if (byNumber.has(key)) {
+        throw new Error(`Number ${n} mapped to both ${byNumber.get(key)} and ${tenant_id}`);
+      }
+      byNumber.set(key, tenant_id);
+    }
+
+    tenants.set(tenant_id, { tenant_id, numbers, env: tenantEnv(doc) });
+  }
+
+  // Unmatched calls (and single-tenant deployments) use the global env.
+  if (!tenants.has(DEFAULT_TENANT_ID)) {
+    tenants.set(DEFAULT_TENANT_ID, { tenant_id: DEFAULT_TENANT_ID, numbers: [], env: { ...env } });
+  }
+
+  return { tenants, byNumber };
+}
+
+// Loads (once) and validates the registry; throws on a broken config.
+function loadTenants() {
+  if (REGISTRY) return REGISTRY;
+  REGISTRY = buildRegistry(readTenantDocs());
+  logger.info("Tenants loaded", {
+    tenants: Array.from(REGISTRY.tenants.keys()),
+    numbers: REGISTRY.byNumber.size
+  });
+  return REGISTRY;
+}
+
+function listTenants() {
+  return Array.from(loadTenants().tenants.values());
+}
+
+function getTenant(tenantId) {
+  const reg = loadTenants();
+  return reg.tenants.get(safeStr(tenantId) || DEFAULT_TENANT_ID) || null;
+}
+
+/**
+ * resolveTenant({ tenantId, called })
+ * - tenantId: explicit `tenant` stream parameter (wins when known)
+ * - called:   the dialed number (`called` custom parameter / Twilio `To`)
+ * Falls back to the default tenant.
+ */
+function resolveTenant({ tenantId, called } = {}) {
+  const reg = loadTenants();
+
+  const explicit = safeStr(tenantId);
+  if (explicit && reg.tenants.has(explicit)) return reg.tenants.get(explicit);
+
+  const byNumber = reg.byNumber.get(numberKey(called));
+  if (byNumber) return reg.tenants.get(byNumber);
+
+  return reg.tenants.get(DEFAULT_TENANT_ID);
+}
+
+module.exports = { loadTenants, listTenants, getTenant, resolveTenant, DEFAULT_TENANT_ID };
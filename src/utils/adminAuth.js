@@ -0,0 +1,70 @@
+"use strict";
+
+// src/utils/adminAuth.js
+// Auth for /admin/* routes. Either:
+// - token: `Authorization: Bearer <ADMIN_TOKEN>` (or `X-Admin-Token`)
+// - HMAC : `X-Admin-Timestamp: <unix seconds>` and
+//          `X-Admin-Signature: hex(HMAC-SHA256(ADMIN_HMAC_SECRET, "<ts>.<METHOD>.<originalUrl>.<raw body>"))`
+// With neither secret configured, admin routes are closed.
+
+const crypto = require("crypto");
+const { env } = require("../config/env");
+const { logger } = require("./logger");
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(safeStr(a));
+  const bb = Buffer.from(safeStr(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function bearerToken(req) {
+  const h = safeStr(req.headers?.authorization);
+  if (/^bearer\s+/i.test(h)) return h.replace(/^bearer\s+/i, "").trim();
+  return safeStr(req.headers?.["x-admin-token"]);
+}
+
+function adminSignature(secret, { ts, method, url, body }) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${ts}.${String(method).toUpperCase()}.${url}.`)
+    .update(body || Buffer.alloc(0))
+    .digest("hex");
+}
+
+function checkHmac(req, secret) {
+  const ts = safeStr(req.headers?.["x-admin-timestamp"]);
+  const sig = safeStr(req.headers?.["x-admin-signature"]).toLowerCase();
+  if (!ts || !sig) return false;
+
+  const skewSec = Math.abs(Date.now() / 1000 - Number(ts));
+  if (!Number.isFinite(skewSec) || skewSec > env.ADMIN_HMAC_MAX_SKEW_SEC) return false;
+
+  // req.rawBody is kept by express.json({ verify }) in server.js.
+  const expected = adminSignature(secret, { ts, method: req.method, url: req.originalUrl, body: req.rawBody });
+  return safeEqual(expected, sig);
+}
+
+function requireAdminAuth() {
+  return (req, res, next) => {
+    const token = safeStr(env.ADMIN_TOKEN);
+    const secret = safeStr(env.ADMIN_HMAC_SECRET);
+
+    if (!token && !secret) {
+      logger.warn("Admin request rejected: ADMIN_TOKEN / ADMIN_HMAC_SECRET not configured", { path: req.originalUrl });
+      return res.status(503).json({ ok: false, error: "admin_auth_not_configured" });
+    }
+
+    if (token && safeEqual(bearerToken(req), token)) return next();
+    if (secret && checkHmac(req, secret)) return next();
+
+    logger.warn("Admin request rejected: bad credentials", { path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({ ok: false, error: "unauthorized" });
+  };
+}
+
+module.exports = { requireAdminAuth, adminSignature };
@@ -0,0 +1,38 @@
+"use strict";
+
+// src/utils/pendingWork.js
+// Background work the process must not exit in the middle of (call finalize:
+// recording save + webhook deliveries). Graceful shutdown waits for it with a deadline.
+
+const PENDING = new Set();
+
+// Returns `promise` unchanged; a rejection is the caller's to handle.
+function trackPending(promise) {
+  const p = Promise.resolve(promise)
+    .catch(() => {})
+    .finally(() => PENDING.delete(p));
+  PENDING.add(p);
+  return promise;
+}
+
+function pendingCount() {
+  return PENDING.size;
+}
+
+// Resolves once everything tracked (including work started while waiting) has settled,
+// or after `timeoutMs`. -> { settled: boolean, pending: number }
+async function waitForPending(timeoutMs) {
+  let timer = null;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(resolve, Math.max(0, Number(timeoutMs) || 0));
+  });
+
+  let timedOut = false;
+  while (PENDING.size && !timedOut) {
+    timedOut = await Promise.race([Promise.all([...PENDING]).then(() => false), deadline.then(() => true)]);
+  }
+  clearTimeout(timer);
+  return { settled: PENDING.size === 0, pending: PENDING.size };
+}
+
+module.exports = { trackPending, pendingCount, waitForPending };
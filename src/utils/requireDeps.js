@@ -0,0 +1,16 @@
+"use strict";
+
+// Fail-fast dependency check for router / service factories.
+// requireDeps("twilioStatusRouter", deps, ["callRegistry", "logger"]) returns deps,
+// or throws at startup naming every missing dependency.
+
+function requireDeps(owner, deps, names) {
+  const d = deps && typeof deps === "object" ? deps : {};
+  const missing = names.filter((n) => d[n] === undefined || d[n] === null);
+  if (missing.length) {
+    throw new Error(`${owner}: missing dependencies: ${missing.join(", ")}`);
+  }
+  return d;
+}
+
+module.exports = { requireDeps };
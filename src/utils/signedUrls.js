@@ -0,0 +1,66 @@
+"use strict";
+
+// src/utils/signedUrls.js
+// Signed, expiring URLs for recordings (routes/recordings.js):
+//   <PUBLIC_BASE_URL>/recordings/<RecordingSid>.mp3?exp=<unix seconds>&sig=<hex>   (Twilio proxy)
+//   <PUBLIC_BASE_URL>/recordings/local/<key>.wav?exp=<unix seconds>&sig=<hex>       (local store)
+// sig = HMAC-SHA256(RECORDING_URL_SECRET || TWILIO_AUTH_TOKEN, "<scope>:<id>:<exp>"),
+// scope "recording" or "local-recording", so one kind of link cannot open the other.
+
+const crypto = require("crypto");
+const { env } = require("../config/env");
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+function recordingSecret() {
+  return safeStr(env.RECORDING_URL_SECRET) || safeStr(env.TWILIO_AUTH_TOKEN);
+}
+
+const SCOPES = {
+  twilio: { prefix: "recording", path: (id) => `/recordings/${encodeURIComponent(id)}.mp3` },
+  local: { prefix: "local-recording", path: (id) => `/recordings/local/${encodeURIComponent(id)}.wav` }
+};
+
+function recordingSignature(secret, recordingSid, exp, kind = "twilio") {
+  return crypto.createHmac("sha256", secret).update(`${SCOPES[kind].prefix}:${recordingSid}:${exp}`).digest("hex");
+}
+
+// Returns "" when PUBLIC_BASE_URL or a signing secret is missing.
+// kind: "twilio" (RecordingSid, mp3 proxy) | "local" (recording store key, wav)
+function signedRecordingUrl(recordingSid, { ttlSec = env.RECORDING_URL_TTL_SEC, nowMs = Date.now(), kind = "twilio" } = {}) {
+  const sid = safeStr(recordingSid);
+  const base = safeStr(env.PUBLIC_BASE_URL).replace(/\/+$/, "");
+  const secret = recordingSecret();
+  if (!sid || !base || !secret) return "";
+
+  const exp = Math.floor(nowMs / 1000) + Math.max(1, Number(ttlSec) || 0);
+  const sig = recordingSignature(secret, sid, exp, kind);
+  return `${base}${SCOPES[kind].path(sid)}?exp=${exp}&sig=${sig}`;
+}
+
+/**
+ * verifyRecordingSignature(recordingSid, exp, sig, nowMs, kind) -> { ok, reason }
+ * reason: "no_secret" | "missing" | "expired" | "bad_signature"
+ */
+function verifyRecordingSignature(recordingSid, exp, sig, nowMs = Date.now(), kind = "twilio") {
+  const secret = recordingSecret();
+  if (!secret) return { ok: false, reason: "no_secret" };
+
+  const sid = safeStr(recordingSid);
+  const e = Number(exp);
+  const s = safeStr(sig).toLowerCase();
+  if (!sid || !Number.isFinite(e) || !s) return { ok: false, reason: "missing" };
+  if (e * 1000 < nowMs) return { ok: false, reason: "expired" };
+
+  const expected = Buffer.from(recordingSignature(secret, sid, e, kind));
+  const got = Buffer.from(s);
+  if (expected.length !== got.length || !crypto.timingSafeEqual(expected, got)) {
+    return { ok: false, reason: "bad_signature" };
+  }
+  return { ok: true, reason: null };
+}
+
+module.exports = { signedRecordingUrl, verifyRecordingSignature };
@@ -1,6 +1,7 @@
 'use strict';
 
 const { Readable } = require('node:stream');
+const { signedRecordingUrl } = require('./signedUrls');
 
 function twilioAuthHeader() {
   const sid = process.env.TWILIO_ACCOUNT_SID || '';
@@ -50,9 +51,7 @@ async function startCallRecording(callSid, logger) {
 }
 
 function publicRecordingUrl(recordingSid) {
-  const base = process.env.PUBLIC_BASE_URL || '';
-  if (!base || !recordingSid) return null;
-  return `${base.replace(/\/$/, '')}/recordings/${recordingSid}.mp3`;
+  return signedRecordingUrl(recordingSid) || null;
 }
 
 async function hangupCall(callSid, logger) {
@@ -0,0 +1,78 @@
+"use strict";
+
+// src/utils/twilioSignature.js
+// X-Twilio-Signature validation (HMAC-SHA1 keyed with TWILIO_AUTH_TOKEN).
+// Twilio signs the full URL it requested plus, for form POSTs, every POST param
+// sorted by name and appended as key+value. Behind a proxy (Render) the URL Twilio
+// used is rebuilt from PUBLIC_BASE_URL, not from the Host header we receive.
+
+const crypto = require("crypto");
+const { env } = require("../config/env");
+const { logger } = require("./logger");
+
+function safeStr(x) {
+  if (x === undefined || x === null) return "";
+  return String(x).trim();
+}
+
+function computeTwilioSignature(authToken, url, params) {
+  const p = params && typeof params === "object" ? params : {};
+  const data = Object.keys(p)
+    .sort()
+    .reduce((acc, k) => acc + k + (p[k] === undefined || p[k] === null ? "" : String(p[k])), url);
+  return crypto.createHmac("sha1", authToken).update(Buffer.from(data, "utf8")).digest("base64");
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(safeStr(a));
+  const bb = Buffer.from(safeStr(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+// Candidate URLs Twilio may have signed for this request.
+function requestUrls(req, { websocket = false } = {}) {
+  const path = req.originalUrl || req.url || "";
+  const bases = [];
+
+  const publicBase = safeStr(env.PUBLIC_BASE_URL).replace(/\/+$/, "");
+  if (publicBase) bases.push(publicBase);
+
+  const host = req.headers?.["x-forwarded-host"] || req.headers?.host;
+  if (host) {
+    const proto = safeStr(req.headers?.["x-forwarded-proto"]).split(",")[0] || "https";
+    bases.push(`${proto}://${host}`);
+  }
+
+  const urls = bases.map((b) => `${b}${path}`);
+  // Media Streams sign the wss:// URL from <Stream url="...">.
+  return websocket ? urls.map((u) => u.replace(/^http/i, "ws")) : urls;
+}
+
+/**
+ * isValidTwilioRequest(req, { params, websocket })
+ * - params: POST form params (req.body for urlencoded callbacks); none for WS upgrades
+ * Returns true when validation is disabled (TWILIO_VALIDATE_SIGNATURE=false, or unset
+ * without TWILIO_AUTH_TOKEN). server.js refuses to start with validation on and no token.
+ */
+function isValidTwilioRequest(req, { params, websocket = false } = {}) {
+  if (!env.TWILIO_VALIDATE_SIGNATURE) return true;
+
+  const authToken = safeStr(env.TWILIO_AUTH_TOKEN);
+  const signature = safeStr(req.headers?.["x-twilio-signature"]);
+  if (!authToken || !signature) return false;
+
+  return requestUrls(req, { websocket }).some((url) =>
+    safeEqual(computeTwilioSignature(authToken, url, params), signature)
+  );
+}
+
+// Express middleware for Twilio form callbacks; mount after express.urlencoded().
+function requireTwilioSignature() {
+  return (req, res, next) => {
+    if (isValidTwilioRequest(req, { params: req.body })) return next();
+    logger.warn("Rejected Twilio request with invalid signature", { path: req.path });
+    return res.status(403).json({ ok: false, error: "invalid_twilio_signature" });
+  };
+}
+
+module.exports = { computeTwilioSignature, isValidTwilioRequest, requireTwilioSignature };
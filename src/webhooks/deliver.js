@@ -0,0 +1,110 @@
+"use strict";
+
+// src/webhooks/deliver.js
+// Finalize events (CALL_LOG / FINAL / ABANDONED) from a call session to the outbox.
+// The session passes the event and the call it belongs to; event ids, snapshots for the
+// dry-run endpoint, per-destination rendering (webhooks/mapping), signing and retries
+// (webhooks/outbox) all happen here, outside the voice path.
+//
+// Per event: the built-in payload goes to the env / tenant URL as before, and every
+// enabled SSOT WEBHOOKS destination for the event type gets its own rendered body.
+
+const { webhookEventId } = require("./signature");
+const { buildRenderContext, destinationsFor, renderDestination } = require("./mapping");
+
+// Stable per call and event type; the stream sid stands in when Twilio sent no call sid.
+function callEventId({ call_sid, stream_sid }, eventType) {
+  return webhookEventId(call_sid || stream_sid, eventType);
+}
+
+/**
+ * renderEvent({ event_type, event_id, tenant_id, payload, call, lead, destinations, timeZone })
+ * -> [renderDestination() result | { destination_id, error }] for each enabled destination.
+ * Shared by live delivery and POST /admin/webhooks/dry-run.
+ */
+function renderEvent({ event_type, event_id, tenant_id, payload, call, lead, destinations, timeZone }) {
+  const context = buildRenderContext({ event_type, event_id, tenant_id, payload, call, lead });
+  return destinationsFor(destinations, event_type).map((dest) => {
+    try {
+      return renderDestination(dest, context, { timeZone });
+    } catch (e) {
+      return { destination_id: dest.destination_id, error: e?.message || String(e) };
+    }
+  });
+}
+
+function createWebhookDelivery({ outbox, snapshots = null, logger }) {
+  async function enqueue(rec) {
+    if (!outbox) {
+      logger.warn("Webhook dropped (no outbox)", { event_type: rec.event_type, callSid: rec.call_sid });
+      return null;
+    }
+    return outbox.enqueue(rec);
+  }
+
+  return {
+    /**
+     * deliver({ event_type, url, payload, call, lead, tenant_id, call_sid, stream_sid, destinations, timeZone })
+     * - url: env / tenant URL for the built-in payload (empty: skipped)
+     * - call, lead: render context for mapped destinations (finalizePipeline senders' ctx)
+     * - destinations: the call's SSOT WEBHOOKS rows
+     * Never throws for a single destination; failures are logged and the rest still go out.
+     */
+    async deliver({ event_type, url, payload, call, lead, tenant_id, call_sid, stream_sid, destinations, timeZone }) {
+      const callKey = call_sid || stream_sid || "";
+      const eventId = callEventId({ call_sid, stream_sid }, event_type);
+      const base = { event_type, tenant_id: tenant_id || "", call_sid: call_sid || "", event_id: eventId };
+
+      if (snapshots && callKey) {
+        try {
+          await snapshots.save(callKey, {
+            call_sid: callKey,
+            tenant_id: tenant_id || "",
+            call: call || {},
+            lead: lead || {},
+            event_type,
+            event_id: eventId,
+            payload
+          });
+        } catch (e) {
+          logger.warn("Webhook snapshot save failed", { event_type, callSid: callKey, error: e?.message || String(e) });
+        }
+      }
+
+      await enqueue({ ...base, url, payload });
+
+      const rendered = renderEvent({ event_type, event_id: eventId, tenant_id, payload, call, lead, destinations, timeZone });
+      for (const r of rendered) {
+        if (r.error) {
+          logger.warn("Webhook destination render failed", {
+            event_type,
+            callSid: callKey,
+            destination_id: r.destination_id,
+            error: r.error
+          });
+          continue;
+        }
+        try {
+          await enqueue({
+            ...base,
+            url: r.url,
+            payload: r.payload,
+            destination_id: r.destination_id,
+            body: r.body,
+            content_type: r.content_type,
+            headers: r.headers
+          });
+        } catch (e) {
+          logger.warn("Webhook destination enqueue failed", {
+            event_type,
+            callSid: callKey,
+            destination_id: r.destination_id,
+            error: e?.message || String(e)
+          });
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createWebhookDelivery, renderEvent, callEventId };
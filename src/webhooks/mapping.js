@@ -0,0 +1,253 @@
+"use strict";
+
+// src/webhooks/mapping.js
+// Per-destination webhook payloads from the SSOT WEBHOOKS sheet (or `webhooks` in a
+// JSON/YAML SSOT document).
+//
+// Sheet columns: destination_id | event_type | url | format | template | headers | enabled
+//   event_type  CALL_LOG | FINAL | ABANDONED, or several comma-separated
+//   format      json (default) | form (application/x-www-form-urlencoded, nested keys as a[b])
+//   template    JSON body template; empty -> the built-in payload unchanged
+//   headers     JSON object of header templates, e.g. {"X-Api-Key": "${secret:CRM_KEY}"}
+//   enabled     true (default) / false
+//
+// Placeholders: {{path | filter:arg | filter}} against the render context
+//   event_id, event_type, tenant_id, destination_id, now
+//   payload   the built-in FINAL / ABANDONED / CALL_LOG payload (finalizePipeline)
+//   call      call meta (caller, called, started_at, latency, dtmf_digits, ...)
+//   lead      merged lead (full_name, subject, callback_to_number, reason, fields, sources)
+// A string that is exactly one placeholder keeps the value's type (number, object, ...);
+// otherwise placeholders are interpolated as text. Missing paths render as null / "".
+//
+// Secrets never live in the sheet: "${secret:NAME}" in a header stays as-is in the
+// outbox record and is replaced with env WEBHOOK_SECRET_<NAME> on every attempt.
+
+const FILTERS = {
+  default: (v, arg) => (isEmpty(v) ? arg : v),
+  upper: (v) => (isEmpty(v) ? v : String(v).toUpperCase()),
+  lower: (v) => (isEmpty(v) ? v : String(v).toLowerCase()),
+  trim: (v) => (isEmpty(v) ? v : String(v).trim()),
+  digits: (v) => (isEmpty(v) ? v : String(v).replace(/\D/g, "")),
+  // +972501234567 -> 0501234567 (Israeli CRMs); other numbers unchanged
+  local_phone: (v) => (isEmpty(v) ? v : String(v).replace(/^\+972(\d{8,9})$/, "0$1")),
+  // 0501234567 -> +972501234567
+  e164: (v) => (isEmpty(v) ? v : String(v).replace(/^0(\d{8,9})$/, "+972$1")),
+  // date:DD/MM/YYYY HH:mm in TIME_ZONE (tokens: YYYY YY MM DD HH mm ss)
+  date: (v, arg, opts) => formatDate(v, arg || "YYYY-MM-DD HH:mm:ss", opts.timeZone),
+  iso: (v) => withDate(v, (d) => d.toISOString()),
+  epoch: (v) => withDate(v, (d) => Math.floor(d.getTime() / 1000)),
+  epoch_ms: (v) => withDate(v, (d) => d.getTime()),
+  number: (v) => (isEmpty(v) || !Number.isFinite(Number(v)) ? null : Number(v)),
+  truncate: (v, arg) => (isEmpty(v) ? v : String(v).slice(0, Math.max(0, parseInt(arg, 10) || 0))),
+  join: (v, arg) => (Array.isArray(v) ? v.join(arg || ", ") : v),
+  json: (v) => JSON.stringify(v ?? null)
+};
+
+const PLACEHOLDER_RE = /\{\{([^{}]*)\}\}/g;
+const WHOLE_PLACEHOLDER_RE = /^\{\{([^{}]*)\}\}$/;
+const SECRET_REF_RE = /\$\{secret:([A-Z0-9_]+)\}/g;
+const EVENT_TYPES = ["CALL_LOG", "FINAL", "ABANDONED"];
+const FORMATS = ["json", "form"];
+
+function isEmpty(v) {
+  return v === undefined || v === null || v === "";
+}
+
+function withDate(v, fn) {
+  if (isEmpty(v)) return null;
+  const d = new Date(typeof v === "number" ? v : String(v));
+  return Number.isNaN(d.getTime()) ? null : fn(d);
+}
+
+function formatDate(v, pattern, timeZone) {
+  return withDate(v, (d) => {
+    let parts;
+    try {
+      parts = new Intl.DateTimeFormat("en-GB", {
+        timeZone: timeZone || "UTC",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hourCycle: "h23"
+      }).formatToParts(d);
+    } catch {
+      return d.toISOString(); // unknown TIME_ZONE
+    }
+    const p = Object.fromEntries(parts.map((x) => [x.type, x.value]));
+    const tokens = { YYYY: p.year, YY: p.year.slice(-2), MM: p.month, DD: p.day, HH: p.hour, mm: p.minute, ss: p.second };
+    return pattern.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, (t) => tokens[t]);
+  });
+}
+
+// "lead.fields.email" / "call.latency.turns" / "payload.missing_fields[0]"
+function lookup(ctx, path) {
+  const keys = String(path || "")
+    .replace(/\[(\d+)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean);
+  let cur = ctx;
+  for (const k of keys) {
+    if (cur === undefined || cur === null) return undefined;
+    cur = cur[k];
+  }
+  return cur;
+}
+
+// "lead.full_name | default:לא ידוע | upper" -> { path, filters: [{ name, arg }] }
+function parseExpression(expr) {
+  const [path, ...rest] = String(expr).split("|");
+  const filters = rest.map((f) => {
+    const i = f.indexOf(":");
+    return i === -1 ? { name: f.trim(), arg: "" } : { name: f.slice(0, i).trim(), arg: f.slice(i + 1).trim() };
+  });
+  return { path: path.trim(), filters };
+}
+
+function evaluate(expr, ctx, opts) {
+  const { path, filters } = parseExpression(expr);
+  let v = lookup(ctx, path);
+  for (const f of filters) {
+    const fn = FILTERS[f.name];
+    if (fn) v = fn(v, f.arg, opts);
+  }
+  return v;
+}
+
+function toText(v) {
+  if (v === undefined || v === null) return "";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+function renderString(s, ctx, opts) {
+  const whole = WHOLE_PLACEHOLDER_RE.exec(s);
+  if (whole) {
+    const v = evaluate(whole[1], ctx, opts);
+    return v === undefined ? null : v;
+  }
+  return s.replace(PLACEHOLDER_RE, (_, expr) => toText(evaluate(expr, ctx, opts)));
+}
+
+/**
+ * renderTemplate(template, ctx, { timeZone }) -> rendered copy
+ * Keys are rendered too, so a template can build dynamic field names.
+ */
+function renderTemplate(template, ctx, opts = {}) {
+  if (typeof template === "string") return renderString(template, ctx, opts);
+  if (Array.isArray(template)) return template.map((t) => renderTemplate(t, ctx, opts));
+  if (template && typeof template === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(template)) out[toText(renderString(k, ctx, opts))] = renderTemplate(v, ctx, opts);
+    return out;
+  }
+  return template;
+}
+
+// Problems with placeholders in a template (for ssotSchema); [] when fine.
+function templateProblems(template) {
+  const problems = [];
+  const visit = (s) => {
+    const open = (s.match(/\{\{/g) || []).length;
+    const close = (s.match(/\}\}/g) || []).length;
+    if (open !== close) problems.push(`unbalanced braces in "${s.slice(0, 60)}"`);
+    for (const m of s.matchAll(PLACEHOLDER_RE)) {
+      const { path, filters } = parseExpression(m[1]);
+      if (!path) problems.push(`empty placeholder "${m[0]}"`);
+      for (const f of filters) if (!FILTERS[f.name]) problems.push(`unknown filter "${f.name}"`);
+    }
+  };
+  const walk = (t) => {
+    if (typeof t === "string") visit(t);
+    else if (Array.isArray(t)) t.forEach(walk);
+    else if (t && typeof t === "object") {
+      for (const [k, v] of Object.entries(t)) {
+        visit(k);
+        walk(v);
+      }
+    }
+  };
+  walk(template);
+  return problems;
+}
+
+// a: { b: [1, { c: 2 }] } -> a[b][0]=1&a[b][1][c]=2
+function formEncode(value) {
+  const params = new URLSearchParams();
+  const add = (key, v) => {
+    if (v === undefined || v === null) return params.append(key, "");
+    if (Array.isArray(v)) return v.forEach((x, i) => add(`${key}[${i}]`, x));
+    if (typeof v === "object") return Object.entries(v).forEach(([k, x]) => add(`${key}[${k}]`, x));
+    params.append(key, String(v));
+  };
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const [k, v] of Object.entries(value)) add(k, v);
+  } else {
+    add("payload", value);
+  }
+  return params.toString();
+}
+
+function buildRenderContext({ event_type, event_id, tenant_id, payload, call, lead, destination_id }) {
+  return {
+    event_id: event_id || "",
+    event_type: event_type || "",
+    tenant_id: tenant_id || "",
+    destination_id: destination_id || "",
+    now: new Date().toISOString(),
+    payload: payload || {},
+    call: call || {},
+    lead: lead || {}
+  };
+}
+
+function destinationsFor(destinations, eventType) {
+  return (Array.isArray(destinations) ? destinations : []).filter(
+    (d) => d && d.enabled !== false && Array.isArray(d.event_types) && d.event_types.includes(eventType)
+  );
+}
+
+/**
+ * renderDestination(dest, ctx, { timeZone })
+ * -> { destination_id, url, format, content_type, payload, body, headers }
+ * `headers` still carry ${secret:NAME} references (expandSecretRefs at send time).
+ */
+function renderDestination(dest, ctx, opts = {}) {
+  const c = { ...ctx, destination_id: dest.destination_id };
+  const payload = dest.template === null || dest.template === undefined ? c.payload : renderTemplate(dest.template, c, opts);
+  const format = dest.format === "form" ? "form" : "json";
+  const headers = {};
+  for (const [k, v] of Object.entries(renderTemplate(dest.headers || {}, c, opts))) {
+    if (!isEmpty(v)) headers[String(k).toLowerCase()] = toText(v);
+  }
+  return {
+    destination_id: dest.destination_id,
+    url: toText(renderString(dest.url, c, opts)),
+    format,
+    content_type: format === "form" ? "application/x-www-form-urlencoded" : "application/json",
+    payload,
+    body: format === "form" ? formEncode(payload) : JSON.stringify(payload),
+    headers
+  };
+}
+
+// `secrets`: { NAME: value } (env WEBHOOK_SECRET_<NAME>); unknown names expand to "".
+function expandSecretRefs(headers, secrets) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers || {})) {
+    out[k] = String(v).replace(SECRET_REF_RE, (_, name) => String(secrets?.[name] ?? ""));
+  }
+  return out;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  FORMATS,
+  buildRenderContext,
+  destinationsFor,
+  renderTemplate,
+  renderDestination,
+  templateProblems,
+  expandSecretRefs
+};
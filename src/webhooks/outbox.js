@@ -0,0 +1,336 @@
+"use strict";
+
+// src/webhooks/outbox.js
+// Disk-backed webhook outbox (CALL_LOG / FINAL / ABANDONED).
+//
+// Every event is written to <dir>/pending/<id>.json before the first attempt, so a
+// restart or crash does not lose it: pending files are picked up again by start().
+// Delivery: POST with a timeout, exponential backoff with jitter between attempts.
+// Each destination (URL origin) is its own lane, delivered in order one at a time: only
+// the lane's oldest pending record (created_at) is eligible, so a record waiting out its
+// backoff holds back newer ones for that destination until it is delivered or dead.
+// Lanes run side by side (up to `concurrency`), so a slow or failing CRM only delays itself.
+// Retried: network errors / timeouts, 408, 429, 5xx. Other 4xx are not retried.
+// After WEBHOOK_MAX_ATTEMPTS (or a non-retryable answer) the event moves to
+// <dir>/dead/<id>.json; replay() puts it back in the queue (routes/adminWebhooks).
+//
+// Each event carries a stable event_id (body + X-Webhook-Event-Id) that every retry and
+// replay reuses, and every attempt is freshly signed (webhooks/signature).
+// Mapped destinations (webhooks/mapping) arrive pre-rendered: `body` is sent byte for
+// byte with their content type and headers, and event_id is not injected into it.
+//
+// WEBHOOK_OUTBOX_DIR must be on a persistent disk for events to survive a redeploy.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { postJson } = require("../utils/webhooks");
+const { trackPending } = require("../utils/pendingWork");
+const { metrics } = require("../metrics/metrics");
+const { webhookEventId, signWebhook } = require("./signature");
+
+const ID_RE = /^[A-Za-z0-9_-]{1,128}$/;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function isRetryable(status) {
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+function createWebhookOutbox({
+  dir,
+  logger,
+  maxAttempts = 8,
+  baseDelayMs = 1000,
+  maxDelayMs = 5 * 60 * 1000,
+  timeoutMs = 7000,
+  concurrency = 4,
+  // (record) -> HMAC secret; resolved per attempt so secrets never land on disk
+  signingSecretFor = () => "",
+  // (record) -> request headers with ${secret:NAME} references expanded (same reason)
+  headersFor = (rec) => rec.headers || {},
+  post = postJson
+}) {
+  const root = path.resolve(String(dir || "").trim() || "outbox");
+  const pendingDir = path.join(root, "pending");
+  const deadDir = path.join(root, "dead");
+
+  // id -> record (pending only; dead records are read from disk on demand)
+  const PENDING = new Map();
+  let deadCount = 0;
+  let timer = null;
+  // lane key -> attempt in flight for that destination
+  const busyLanes = new Set();
+  const lanes = Math.max(1, Number(concurrency) || 1);
+
+  function fileFor(state, id) {
+    if (!ID_RE.test(String(id || ""))) throw new Error(`Invalid outbox id: ${id}`);
+    return path.join(state === "dead" ? deadDir : pendingDir, `${id}.json`);
+  }
+
+  async function writeRecord(state, rec) {
+    const file = fileFor(state, rec.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(rec));
+    await fs.promises.rename(tmp, file);
+  }
+
+  async function removeRecord(state, id) {
+    try {
+      await fs.promises.unlink(fileFor(state, id));
+    } catch (e) {
+      if (e?.code !== "ENOENT") throw e;
+    }
+  }
+
+  async function readDir(state) {
+    const d = state === "dead" ? deadDir : pendingDir;
+    const names = (await fs.promises.readdir(d)).filter((n) => n.endsWith(".json"));
+    const out = [];
+    for (const n of names) {
+      try {
+        out.push(JSON.parse(await fs.promises.readFile(path.join(d, n), "utf8")));
+      } catch (e) {
+        logger.warn("Unreadable outbox record skipped", { state, file: n, error: e?.message || String(e) });
+      }
+    }
+    return out;
+  }
+
+  function backoffMs(attempts) {
+    const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+    return Math.round(exp * (0.8 + Math.random() * 0.4));
+  }
+
+  function laneKey(rec) {
+    try {
+      return new URL(rec.url).origin;
+    } catch {
+      return String(rec.url || "");
+    }
+  }
+
+  // lane key -> oldest pending record (ties keep enqueue order)
+  function laneHeads() {
+    const heads = new Map();
+    for (const rec of PENDING.values()) {
+      const lane = laneKey(rec);
+      const head = heads.get(lane);
+      if (!head || String(rec.created_at) < String(head.created_at)) heads.set(lane, rec);
+    }
+    return heads;
+  }
+
+  // Busy lanes re-pump when their attempt settles; the timer only covers idle ones.
+  function schedule(heads = laneHeads()) {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (busyLanes.size >= lanes) return;
+
+    let next = Infinity;
+    for (const [lane, rec] of heads) {
+      if (!busyLanes.has(lane)) next = Math.min(next, Date.parse(rec.next_attempt_at) || 0);
+    }
+    if (next === Infinity) return;
+    timer = setTimeout(() => pump(), Math.max(0, next - Date.now()));
+    if (typeof timer.unref === "function") timer.unref();
+  }
+
+  async function moveToDead(rec) {
+    rec.dead_at = nowIso();
+    await writeRecord("dead", rec);
+    await removeRecord("pending", rec.id);
+    PENDING.delete(rec.id);
+    deadCount += 1;
+    metrics.webhookDeliveries.inc({ event_type: rec.event_type, result: "dead_letter" });
+    logger.error("Webhook moved to dead-letter", {
+      id: rec.id,
+      event_id: rec.event_id,
+      event_type: rec.event_type,
+      destination_id: rec.destination_id,
+      callSid: rec.call_sid,
+      attempts: rec.attempts,
+      last_status: rec.last_status,
+      last_error: rec.last_error
+    });
+  }
+
+  async function attempt(rec) {
+    rec.attempts += 1;
+    const rawBody = typeof rec.body === "string" ? rec.body : JSON.stringify(rec.payload);
+    const headers = {
+      ...(rec.content_type ? { "content-type": rec.content_type } : {}),
+      ...headersFor(rec),
+      ...signWebhook({
+        secret: signingSecretFor(rec),
+        eventId: rec.event_id,
+        eventType: rec.event_type,
+        attempt: rec.attempts,
+        rawBody
+      })
+    };
+    const r = await post(rec.url, rawBody, { timeoutMs, headers });
+
+    if (r.ok) {
+      await removeRecord("pending", rec.id);
+      PENDING.delete(rec.id);
+      metrics.webhookDeliveries.inc({ event_type: rec.event_type, result: "success" });
+      logger.info("Webhook delivered", {
+        id: rec.id,
+        event_id: rec.event_id,
+        event_type: rec.event_type,
+        destination_id: rec.destination_id,
+        status: r.status,
+        attempt: rec.attempts
+      });
+      return;
+    }
+
+    rec.last_status = r.status || 0;
+    rec.last_error = r.error || String(r.text || "").slice(0, 300);
+    metrics.webhookDeliveries.inc({ event_type: rec.event_type, result: "failure" });
+    logger.warn("Webhook delivery failed", {
+      id: rec.id,
+      event_id: rec.event_id,
+      event_type: rec.event_type,
+      destination_id: rec.destination_id,
+      attempt: rec.attempts,
+      status: rec.last_status,
+      error: rec.last_error
+    });
+
+    if (!isRetryable(rec.last_status) || rec.attempts >= maxAttempts) {
+      await moveToDead(rec);
+      return;
+    }
+    rec.next_attempt_at = new Date(Date.now() + backoffMs(rec.attempts)).toISOString();
+    await writeRecord("pending", rec);
+  }
+
+  // Starts every idle lane whose head is due (up to `concurrency`), then re-arms the timer.
+  function pump() {
+    const now = Date.now();
+    const heads = laneHeads();
+    const due = [...heads]
+      .filter(([lane, rec]) => !busyLanes.has(lane) && (Date.parse(rec.next_attempt_at) || 0) <= now)
+      .sort(([, a], [, b]) => Date.parse(a.next_attempt_at) - Date.parse(b.next_attempt_at));
+
+    for (const [lane, rec] of due) {
+      if (busyLanes.size >= lanes) break;
+      busyLanes.add(lane);
+      trackPending(attempt(rec))
+        .catch((e) => {
+          logger.error("Webhook outbox attempt failed", { id: rec.id, error: e?.message || String(e) });
+          rec.next_attempt_at = new Date(Date.now() + backoffMs(rec.attempts)).toISOString();
+        })
+        .finally(() => {
+          busyLanes.delete(lane);
+          pump();
+        });
+    }
+    schedule(heads);
+  }
+
+  return {
+    // Loads pending events left by a previous process and starts delivering them.
+    async start() {
+      await fs.promises.mkdir(pendingDir, { recursive: true });
+      await fs.promises.mkdir(deadDir, { recursive: true });
+      const loaded = (await readDir("pending")).sort(
+        (a, b) => String(a.created_at).localeCompare(String(b.created_at)) || String(a.id).localeCompare(String(b.id))
+      );
+      for (const rec of loaded) {
+        // Records written before event ids existed get one now (stable: same inputs).
+        if (!rec.event_id) rec.event_id = webhookEventId(rec.call_sid, rec.event_type);
+        PENDING.set(rec.id, rec);
+      }
+      deadCount = (await readDir("dead")).length;
+      logger.info("Webhook outbox ready", { dir: root, pending: PENDING.size, dead: deadCount });
+      pump();
+    },
+
+    // Persists first, then delivers in the background. Resolves to the record (null when no URL).
+    // event_id defaults to webhookEventId(call_sid, event_type) and is added to the body,
+    // unless a pre-rendered `body` (mapped destination) is given.
+    async enqueue({ event_type, url, payload, tenant_id, call_sid, event_id, destination_id, body, content_type, headers }) {
+      if (!url) {
+        logger.info("Webhook skipped (no URL)", { event_type, destination_id, callSid: call_sid });
+        return null;
+      }
+      const eventId = event_id || webhookEventId(call_sid, event_type);
+      const rec = {
+        id: `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`,
+        event_id: eventId,
+        event_type,
+        url,
+        tenant_id: tenant_id || "",
+        call_sid: call_sid || "",
+        ...(typeof body === "string"
+          ? { destination_id: destination_id || "", payload, body, content_type: content_type || "", headers: headers || {} }
+          : { payload: { event_id: eventId, ...payload } }),
+        attempts: 0,
+        created_at: nowIso(),
+        next_attempt_at: nowIso(),
+        last_status: null,
+        last_error: null
+      };
+      await fs.promises.mkdir(pendingDir, { recursive: true });
+      await writeRecord("pending", rec);
+      PENDING.set(rec.id, rec);
+      pump();
+      return rec;
+    },
+
+    // state: "pending" | "dead". Metadata only (payload via get()).
+    async list(state = "pending") {
+      const recs = state === "dead" ? await readDir("dead") : [...PENDING.values()];
+      return recs
+        .map(({ payload, body, headers, ...meta }) => meta)
+        .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    },
+
+    async get(id) {
+      if (PENDING.has(id)) return { state: "pending", record: PENDING.get(id) };
+      try {
+        return { state: "dead", record: JSON.parse(await fs.promises.readFile(fileFor("dead", id), "utf8")) };
+      } catch (e) {
+        if (e?.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+
+    // Dead: back to pending with a fresh attempt budget. Pending: attempt now.
+    async replay(id) {
+      const found = await this.get(id);
+      if (!found) return null;
+
+      const rec = found.record;
+      if (found.state === "dead") {
+        rec.attempts = 0;
+        delete rec.dead_at;
+        rec.replayed_at = nowIso();
+        await writeRecord("pending", rec);
+        await removeRecord("dead", id);
+        deadCount = Math.max(0, deadCount - 1);
+        PENDING.set(rec.id, rec);
+      }
+      rec.next_attempt_at = nowIso();
+      logger.info("Webhook replay queued", { id, event_type: rec.event_type, from: found.state });
+      pump();
+      return { id, from: found.state };
+    },
+
+    stats() {
+      return { pending: PENDING.size, dead: deadCount };
+    },
+
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createWebhookOutbox, isRetryable };
@@ -0,0 +1,95 @@
+"use strict";
+
+// src/webhooks/signature.js
+// Signing contract for outgoing webhooks (CALL_LOG / FINAL / ABANDONED).
+//
+// Headers on every delivery attempt:
+//   X-Webhook-Event-Id    stable per call and event type (also `event_id` in the body);
+//                         retries and admin replays reuse it -> dedupe on it
+//   X-Webhook-Event-Type  CALL_LOG | FINAL | ABANDONED
+//   X-Webhook-Attempt     1, 2, ... (informational)
+//   X-Webhook-Timestamp   unix seconds when this attempt was signed
+//   X-Webhook-Signature   v1=<hex HMAC-SHA256(secret, "<timestamp>.<raw body>")>
+//
+// Secret: WEBHOOK_SIGNING_SECRET_<EVENT_TYPE>, else WEBHOOK_SIGNING_SECRET; a tenant's
+// webhooks.signing_secret replaces both. No secret -> no signature headers.
+//
+// Receivers should: recompute the HMAC over the raw body bytes (before JSON parsing),
+// compare in constant time, reject timestamps more than 5 minutes away from their
+// clock (replay), and ignore an event_id they already processed (retry).
+// verifyWebhookSignature() below does the first three.
+
+const crypto = require("crypto");
+
+const SIGNATURE_VERSION = "v1";
+const DEFAULT_TOLERANCE_SEC = 300;
+
+// Same call + event type -> same id, across retries, replays and restarts.
+function webhookEventId(callSid, eventType) {
+  const sid = String(callSid || "").trim();
+  const type = String(eventType || "").trim().toUpperCase();
+  if (!sid) return `evt_${crypto.randomBytes(12).toString("hex")}`;
+  const digest = crypto.createHash("sha256").update(`${sid}:${type}`).digest("hex").slice(0, 24);
+  return `evt_${type.toLowerCase()}_${digest}`;
+}
+
+function webhookSecretFor(cfg, eventType) {
+  const type = String(eventType || "").trim().toUpperCase();
+  return String(cfg?.[`WEBHOOK_SIGNING_SECRET_${type}`] || cfg?.WEBHOOK_SIGNING_SECRET || "").trim();
+}
+
+function computeWebhookSignature(secret, timestamp, rawBody) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.`).update(rawBody).digest("hex");
+  return `${SIGNATURE_VERSION}=${mac}`;
+}
+
+// -> request headers; timestamp + signature only when a secret is configured
+function signWebhook({ secret, eventId, eventType, attempt, rawBody, nowMs = Date.now() }) {
+  const headers = {
+    "x-webhook-event-id": eventId,
+    "x-webhook-event-type": eventType,
+    "x-webhook-attempt": String(attempt || 1)
+  };
+  if (!secret) return headers;
+
+  const timestamp = Math.floor(nowMs / 1000);
+  headers["x-webhook-timestamp"] = String(timestamp);
+  headers["x-webhook-signature"] = computeWebhookSignature(secret, timestamp, rawBody);
+  return headers;
+}
+
+/**
+ * Receiver-side check.
+ * verifyWebhookSignature({ secret, rawBody, headers, toleranceSec, nowMs }) -> { ok, reason, event_id }
+ * reason: "no_secret" | "missing" | "stale_timestamp" | "bad_signature"
+ * `headers` as Node gives them (lower-case keys); `rawBody` is the exact bytes received.
+ */
+function verifyWebhookSignature({ secret, rawBody, headers, toleranceSec = DEFAULT_TOLERANCE_SEC, nowMs = Date.now() }) {
+  const h = headers || {};
+  const eventId = String(h["x-webhook-event-id"] || "") || null;
+  if (!secret) return { ok: false, reason: "no_secret", event_id: eventId };
+
+  const timestamp = Number(h["x-webhook-timestamp"]);
+  const signature = String(h["x-webhook-signature"] || "");
+  if (!Number.isFinite(timestamp) || !signature || rawBody === undefined || rawBody === null) {
+    return { ok: false, reason: "missing", event_id: eventId };
+  }
+  if (Math.abs(nowMs / 1000 - timestamp) > toleranceSec) {
+    return { ok: false, reason: "stale_timestamp", event_id: eventId };
+  }
+
+  const expected = Buffer.from(computeWebhookSignature(secret, timestamp, rawBody));
+  const got = Buffer.from(signature);
+  if (expected.length !== got.length || !crypto.timingSafeEqual(expected, got)) {
+    return { ok: false, reason: "bad_signature", event_id: eventId };
+  }
+  return { ok: true, reason: null, event_id: eventId };
+}
+
+module.exports = {
+  webhookEventId,
+  webhookSecretFor,
+  computeWebhookSignature,
+  signWebhook,
+  verifyWebhookSignature
+};
@@ -0,0 +1,80 @@
+"use strict";
+
+// src/webhooks/snapshotStore.js
+// Render contexts of finalized calls (webhooks/mapping), one JSON file per call, so
+// POST /admin/webhooks/dry-run can render any destination for a call after the fact.
+// Keeps the newest WEBHOOK_SNAPSHOT_MAX calls (0 disables); contains lead PII, same as
+// the outbox records next to it.
+
+const fs = require("fs");
+const path = require("path");
+
+const KEY_RE = /^[A-Za-z0-9_-]{1,128}$/;
+
+function createSnapshotStore({ dir, logger, maxEntries = 500 }) {
+  const root = path.resolve(String(dir || "").trim() || "outbox/snapshots");
+  // keys, oldest first (rebuilt from mtimes by start())
+  let keys = [];
+
+  function fileFor(key) {
+    if (!KEY_RE.test(String(key || ""))) throw new Error(`Invalid snapshot key: ${key}`);
+    return path.join(root, `${key}.json`);
+  }
+
+  async function prune() {
+    while (keys.length > maxEntries) {
+      const old = keys.shift();
+      try {
+        await fs.promises.unlink(fileFor(old));
+      } catch (e) {
+        if (e?.code !== "ENOENT") logger.warn("Snapshot prune failed", { key: old, error: e?.message || String(e) });
+      }
+    }
+  }
+
+  return {
+    enabled: maxEntries > 0,
+
+    async start() {
+      if (maxEntries <= 0) return;
+      await fs.promises.mkdir(root, { recursive: true });
+      const names = (await fs.promises.readdir(root)).filter((n) => n.endsWith(".json"));
+      const stats = await Promise.all(
+        names.map(async (n) => ({ key: n.slice(0, -5), mtime: (await fs.promises.stat(path.join(root, n))).mtimeMs }))
+      );
+      keys = stats.sort((a, b) => a.mtime - b.mtime).map((x) => x.key);
+      await prune();
+    },
+
+    // One file per call: { call_sid, tenant_id, call, lead, events: { <event_type>: { event_id, payload } } }
+    async save(key, { event_type, event_id, payload, ...rest }) {
+      if (maxEntries <= 0) return;
+      const file = fileFor(key);
+      const prev = (await this.get(key)) || {};
+      const snapshot = {
+        ...prev,
+        ...rest,
+        events: { ...(prev.events || {}), [event_type]: { event_id, payload } },
+        saved_at: new Date().toISOString()
+      };
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify(snapshot));
+      await fs.promises.rename(tmp, file);
+      keys = keys.filter((k) => k !== key);
+      keys.push(key);
+      await prune();
+    },
+
+    async get(key) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(key), "utf8"));
+      } catch (e) {
+        if (e?.code === "ENOENT") return null;
+        throw e;
+      }
+    }
+  };
+}
+
+module.exports = { createSnapshotStore };
@@ -2,16 +2,39 @@
 
 const WebSocket = require("ws");
 const { logger } = require("../utils/logger");
-const { env } = require("../config/env");
 const { GeminiLiveSession } = require("../vendor/geminiLiveSession");
 const { startCallRecording } = require("../utils/twilioRecordings");
-const { getSSOT } = require("../ssot/ssotClient");
+const { getSSOT, loadSSOT } = require("../ssot/ssotClient");
+const { resolveTenant } = require("../tenants/tenantRegistry");
+const { isValidTwilioRequest } = require("../utils/twilioSignature");
+const { requireDeps } = require("../utils/requireDeps");
+const { CallRecorder } = require("../recording/callRecorder");
+const { signedRecordingUrl } = require("../utils/signedUrls");
 
-function installTwilioMediaWs(server) {
+function installTwilioMediaWs(server, deps) {
+  const { callRegistry, recordingStore, webhookDelivery } = requireDeps("installTwilioMediaWs", deps, [
+    "callRegistry",
+    "recordingStore",
+    "webhookDelivery"
+  ]);
   const wss = new WebSocket.Server({ noServer: true });
+  // Set by graceful shutdown: live calls keep running, new streams are refused.
+  let accepting = true;
 
   server.on("upgrade", (req, socket, head) => {
     if (!req.url || !req.url.startsWith("/twilio-media-stream")) return;
+    if (!accepting) {
+      logger.warn("Rejected media stream upgrade during shutdown", { url: req.url });
+      socket.write("HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    if (!isValidTwilioRequest(req, { websocket: true })) {
+      logger.warn("Rejected media stream upgrade with invalid Twilio signature", { url: req.url });
+      socket.write("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
     wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
   });
 
@@ -26,8 +49,40 @@ function installTwilioMediaWs(server) {
     // NEW (Stage 4 fix): ensure stop/finalize path runs exactly once
     let stopped = false;
 
-    function sendToTwilioMedia(ulaw8kB64) {
+    // Server-side stereo recording (MB_LOCAL_RECORDING); saved once, at finalize.
+    let recorder = null;
+    let recordingPromise = null;
+
+    function finishLocalRecording() {
+      if (!recorder) return Promise.resolve(null);
+      if (recordingPromise) return recordingPromise;
+
+      const key = callSid || streamSid;
+      recordingPromise = (async () => {
+        try {
+          const wav = await recorder.finish();
+          if (!wav || !key) return null;
+          const saved = await recordingStore.save({ key, filePath: wav.filePath, contentType: "audio/wav" });
+          logger.info("Local recording saved", { streamSid, callSid, store: recordingStore.name, bytes: saved.bytes });
+          return {
+            recording_provider: "local",
+            recording_sid: key,
+            recording_url_public: signedRecordingUrl(key, { kind: "local" }) || null
+          };
+        } catch (e) {
+          logger.warn("Local recording save failed", { streamSid, callSid, error: e?.message || String(e) });
+          return null;
+        } finally {
+          // The store moved or copied the file; whatever is left is ours to remove.
+          recorder.discard().catch(() => {});
+        }
+      })();
+      return recordingPromise;
+    }
+
+    function sendToTwilioMedia(ulaw8kB64, info) {
       if (!streamSid) return;
+      if (recorder) recorder.addBot(Buffer.from(ulaw8kB64, "base64"), info?.playAt);
       const payload = {
         event: "media",
         streamSid,
@@ -38,6 +93,23 @@ function installTwilioMediaWs(server) {
       } catch {}
     }
 
+    // Barge-in: drop audio Twilio has buffered but not yet played.
+    function sendToTwilioClear() {
+      if (!streamSid) return;
+      if (recorder) recorder.truncateBot(Date.now());
+      try {
+        twilioWs.send(JSON.stringify({ event: "clear", streamSid }));
+      } catch {}
+    }
+
+    // Twilio echoes the mark back once all audio queued before it was played.
+    function sendToTwilioMark(name) {
+      if (!streamSid) return;
+      try {
+        twilioWs.send(JSON.stringify({ event: "mark", streamSid, mark: { name } }));
+      } catch {}
+    }
+
     twilioWs.on("message", (data) => {
       let msg;
       try {
@@ -52,17 +124,33 @@ function installTwilioMediaWs(server) {
         streamSid = msg?.start?.streamSid || null;
         callSid = msg?.start?.callSid || null;
         customParameters = msg?.start?.customParameters || {};
-        logger.info("Twilio stream start", { streamSid, callSid, customParameters });
+        // Tenant by explicit `tenant` parameter, else by the dialed number (`called` / Twilio `To`).
+        const tenant = resolveTenant({
+          tenantId: customParameters?.tenant,
+          called: customParameters?.called || customParameters?.To || customParameters?.to
+        });
+
+        logger.info("Twilio stream start", { streamSid, callSid, tenant_id: tenant.tenant_id, customParameters });
 
         // Start Twilio call recording early so a RecordingSid exists by the time we finalize.
         // This mirrors the GilSport flow and powers recording_url_public.
-        if (env.MB_ENABLE_RECORDING && callSid) {
+        if (tenant.env.MB_ENABLE_RECORDING && callSid) {
           startCallRecording(callSid, logger).catch((e) => {
             logger.warn("Failed to start call recording", { callSid, err: e?.message || String(e) });
           });
         }
 
-        const ssot = getSSOT(); // כבר נטען בשרת; אם ריק – עדיין לא שוברים קול
+        if (tenant.env.MB_LOCAL_RECORDING) {
+          recorder = new CallRecorder({ maxSec: tenant.env.MB_RECORDING_MAX_SEC });
+        }
+
+        const ssot = getSSOT(tenant.tenant_id); // כבר נטען בשרת; אם ריק – עדיין לא שוברים קול
+        if (!ssot?.loaded_at) {
+          // First call for a tenant whose preload failed: warm the cache for the next call.
+          loadSSOT(false, tenant.tenant_id).catch((e) => {
+            logger.warn("SSOT load on call start failed", { tenant_id: tenant.tenant_id, error: e?.message || String(e) });
+          });
+        }
 
         gemini = new GeminiLiveSession({
           // meta is forwarded into logs + Gemini session; keep it small and stable
@@ -71,26 +159,57 @@ function installTwilioMediaWs(server) {
             callSid,
             caller: customParameters?.caller,
             called: customParameters?.called,
-            source: customParameters?.source
+            source: customParameters?.source,
+            tenant_id: tenant.tenant_id
           },
           ssot,
-          onGeminiAudioUlaw8kBase64: (ulawB64) => sendToTwilioMedia(ulawB64),
+          tenant,
+          onGeminiAudioUlaw8kBase64: (ulawB64, info) => sendToTwilioMedia(ulawB64, info),
+          onTwilioClear: () => sendToTwilioClear(),
+          onTwilioMark: (name) => sendToTwilioMark(name),
+          resolveLocalRecording: recorder ? () => finishLocalRecording() : undefined,
+          webhookDelivery,
           onGeminiText: (t) => logger.debug("Gemini text", { streamSid, callSid, t }),
           onTranscript: ({ who, text }) => {
             logger.info(`TRANSCRIPT ${who}`, { streamSid, callSid, text });
           }
         });
 
+        callRegistry.startStream({
+          callSid,
+          streamSid,
+          tenantId: tenant.tenant_id,
+          caller: customParameters?.caller,
+          called: customParameters?.called,
+          session: gemini
+        });
+
         gemini.start();
         return;
       }
 
       if (ev === "media") {
         const b64 = msg?.media?.payload;
+        if (b64 && recorder && (msg?.media?.track || "inbound") === "inbound") {
+          recorder.addCaller(Buffer.from(b64, "base64"), msg?.media?.timestamp);
+        }
         if (b64 && gemini) gemini.sendUlaw8kFromTwilio(b64);
         return;
       }
 
+      if (ev === "dtmf") {
+        const digit = msg?.dtmf?.digit;
+        logger.info("Twilio DTMF", { streamSid, callSid, digit });
+        if (digit && gemini) gemini.onTwilioDtmf(digit);
+        return;
+      }
+
+      if (ev === "mark") {
+        const name = msg?.mark?.name;
+        if (name && gemini) gemini.onTwilioMarkPlayed(name);
+        return;
+      }
+
       if (ev === "stop") {
         logger.info("Twilio stream stop", { streamSid, callSid });
         if (!stopped && gemini) {
@@ -98,6 +217,7 @@ function installTwilioMediaWs(server) {
           gemini.endInput();
           gemini.stop();
         }
+        callRegistry.endStream(callSid, "stream_stop");
         return;
       }
 
@@ -112,6 +232,7 @@ function installTwilioMediaWs(server) {
         stopped = true;
         gemini.stop();
       }
+      callRegistry.endStream(callSid, "ws_closed");
     });
 
     twilioWs.on("error", (err) => {
@@ -120,10 +241,16 @@ function installTwilioMediaWs(server) {
         stopped = true;
         gemini.stop();
       }
+      callRegistry.endStream(callSid, "ws_error");
     });
   });
 
-  return wss;
+  return {
+    wss,
+    stopAccepting() {
+      accepting = false;
+    }
+  };
 }
 
 module.exports = { installTwilioMediaWs };
@@ -0,0 +1,38 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { isGoodbyeUtterance, isClosingIntent } = require("../src/logic/callClosing");
+
+test("plain goodbyes close the call at any point", () => {
+  assert.equal(isGoodbyeUtterance("ביי"), true);
+  assert.equal(isGoodbyeUtterance("תודה, להתראות!"), true);
+  assert.equal(isGoodbyeUtterance("ok bye"), true);
+  assert.equal(isGoodbyeUtterance("до свидания"), true);
+});
+
+test("a greeting reply to the opening does not close the call", () => {
+  assert.equal(isGoodbyeUtterance("ערב טוב"), false);
+  assert.equal(isGoodbyeUtterance("היי ערב טוב"), false);
+  assert.equal(isGoodbyeUtterance("שבת שלום"), false);
+  assert.equal(isGoodbyeUtterance("יום טוב", { userTurns: 1 }), false);
+});
+
+test("wishes count as a goodbye late in the call or once the lead is captured", () => {
+  assert.equal(isGoodbyeUtterance("תודה, ערב טוב", { userTurns: 3 }), true);
+  assert.equal(isGoodbyeUtterance("שבת שלום", { leadCaptured: true }), true);
+});
+
+test("a goodbye inside a longer utterance does not count", () => {
+  assert.equal(isGoodbyeUtterance("שלום, יום טוב, אני רוצה לשאול על המחיר", { userTurns: 5 }), false);
+  assert.equal(isGoodbyeUtterance("רגע אחד אני רוצה להגיד לך ביי", { userTurns: 5 }), false);
+  assert.equal(isGoodbyeUtterance(""), false);
+});
+
+test("closing intents match by type or id", () => {
+  assert.equal(isClosingIntent({ intent_id: "x", intent_type: "Closing" }), true);
+  assert.equal(isClosingIntent({ intent_id: "goodbye", intent_type: "other" }), true);
+  assert.equal(isClosingIntent({ intent_id: "pricing", intent_type: "info" }), false);
+  assert.equal(isClosingIntent(null), false);
+});
@@ -0,0 +1,91 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+
+const { CallRecorder, SAMPLE_RATE } = require("../src/recording/callRecorder");
+const { encodeUlaw } = require("../src/audio/g711");
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "recorder-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// 20 ms μ-law frame of a constant sample value
+function frame(value) {
+  return encodeUlaw(new Int16Array(160).fill(value));
+}
+
+function sampleAt(wav, ms, channel) {
+  return wav.readInt16LE(44 + Math.round(ms * 8) * 4 + channel * 2);
+}
+
+test("long calls are written out as they go and end up as one stereo WAV", async (t) => {
+  let now = 1_000_000;
+  const rec = new CallRecorder({ startedAtMs: now, tmpDir: tmpDir(t), now: () => now });
+
+  // 30 s of caller audio; the bot speaks from 10 s to 11 s
+  for (let ms = 0; ms < 30_000; ms += 20) {
+    now = 1_000_000 + ms;
+    rec.addCaller(frame(1000), ms);
+    if (ms >= 10_000 && ms < 11_000) rec.addBot(frame(-2000), now);
+  }
+
+  // only the last few seconds are still held in memory
+  assert.ok(rec._caller.length <= 6 * 50, `caller segments kept: ${rec._caller.length}`);
+  assert.equal(rec.durationMs(), 30_000);
+
+  const out = await rec.finish();
+  const wav = fs.readFileSync(out.filePath);
+  assert.equal(out.bytes, 44 + 30 * SAMPLE_RATE * 4);
+  assert.equal(wav.length, out.bytes);
+  assert.equal(wav.toString("ascii", 0, 4), "RIFF");
+  assert.equal(wav.readUInt32LE(40), 30 * SAMPLE_RATE * 4);
+  assert.equal(wav.readUInt16LE(22), 2);
+
+  assert.ok(Math.abs(sampleAt(wav, 5_000, 0) - 1000) < 64);
+  assert.equal(sampleAt(wav, 5_000, 1), 0);
+  assert.ok(Math.abs(sampleAt(wav, 10_500, 1) + 2000) < 128);
+  assert.equal(sampleAt(wav, 12_000, 1), 0);
+});
+
+test("barge-in truncates the bot channel", async (t) => {
+  let now = 0;
+  const rec = new CallRecorder({ startedAtMs: 0, tmpDir: tmpDir(t), now: () => now });
+  for (let ms = 0; ms < 2_000; ms += 20) rec.addCaller(frame(500), ms);
+  // 1 s of bot audio queued from 0.5 s, cut when the caller talks over it at 1 s
+  for (let ms = 500; ms < 1_500; ms += 20) rec.addBot(frame(-3000), ms);
+  now = 1_000;
+  rec.truncateBot(now);
+
+  const out = await rec.finish();
+  const wav = fs.readFileSync(out.filePath);
+  assert.notEqual(sampleAt(wav, 700, 1), 0);
+  assert.equal(sampleAt(wav, 1_200, 1), 0);
+});
+
+test("nothing recorded -> no file", async (t) => {
+  const dir = tmpDir(t);
+  const rec = new CallRecorder({ tmpDir: dir });
+  assert.equal(await rec.finish(), null);
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test("discard removes the temp file", async (t) => {
+  const dir = tmpDir(t);
+  let now = 0;
+  const rec = new CallRecorder({ startedAtMs: 0, tmpDir: dir, now: () => now });
+  for (let ms = 0; ms < 10_000; ms += 20) {
+    now = ms;
+    rec.addCaller(frame(1), ms);
+  }
+  if (rec._out.pending) await once(rec._out, "ready");
+  assert.equal(fs.readdirSync(dir).length, 1);
+  await rec.discard();
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
@@ -0,0 +1,35 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { assertAudioFormats, getCodec } = require("../src/audio/codecs");
+
+test("provider formats are accepted as configured", () => {
+  const f = assertAudioFormats({ GEMINI_AUDIO_IN_FORMAT: "pcm8k", GEMINI_AUDIO_OUT_FORMAT: "pcm24k" });
+  assert.equal(f.in.name, "pcm8k");
+  assert.equal(f.out.name, "pcm24k");
+  assert.deepEqual(f.deprecated, []);
+});
+
+test("legacy ulaw8k values fall back to the provider defaults and are reported", () => {
+  const f = assertAudioFormats({ GEMINI_AUDIO_IN_FORMAT: "ulaw8k", GEMINI_AUDIO_OUT_FORMAT: "ulaw8k" });
+  assert.equal(f.in.name, "pcm16k");
+  assert.equal(f.out.name, "pcm24k");
+  assert.deepEqual(
+    f.deprecated.map((d) => d.key),
+    ["GEMINI_AUDIO_IN_FORMAT", "GEMINI_AUDIO_OUT_FORMAT"]
+  );
+});
+
+test("unknown or unsupported formats still fail", () => {
+  assert.throws(() => assertAudioFormats({ GEMINI_AUDIO_IN_FORMAT: "mp3", GEMINI_AUDIO_OUT_FORMAT: "pcm24k" }), /Unsupported/);
+  assert.throws(() => assertAudioFormats({ GEMINI_AUDIO_IN_FORMAT: "alaw8k", GEMINI_AUDIO_OUT_FORMAT: "pcm24k" }), /not supported/);
+  assert.throws(() => assertAudioFormats({ GEMINI_AUDIO_IN_FORMAT: "pcm16k", GEMINI_AUDIO_OUT_FORMAT: "pcm16k" }), /not supported/);
+});
+
+test("pcm codecs round-trip samples", () => {
+  const c = getCodec("pcm16k");
+  const samples = Int16Array.from([0, 1, -1, 32767, -32768]);
+  assert.deepEqual(Array.from(c.decode(c.encode(samples))), Array.from(samples));
+});
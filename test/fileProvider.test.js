@@ -0,0 +1,51 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { setTimeout: sleep } = require("node:timers/promises");
+
+const { createFileProvider } = require("../src/ssot/providers/fileProvider");
+
+function waitFor(cond, timeoutMs = 3000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const tick = () => {
+      if (cond()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error("timed out"));
+      setTimeout(tick, 20);
+    };
+    tick();
+  });
+}
+
+test("the watch survives saves that rename a temp file over the original", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssot-file-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "ssot.json");
+  const save = (name) => {
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ settings: { BUSINESS_NAME: name } }));
+    fs.renameSync(`${file}.tmp`, file);
+  };
+  save("v1");
+
+  const provider = createFileProvider({ filePath: file });
+  let changes = 0;
+  provider.watch(() => changes++);
+
+  for (const name of ["v2", "v3", "v4"]) {
+    const before = changes;
+    save(name);
+    await waitFor(() => changes > before);
+    const { settingsRows } = await provider.load();
+    assert.ok(JSON.stringify(settingsRows).includes(name));
+  }
+
+  // other files in the directory are ignored
+  const before = changes;
+  fs.writeFileSync(path.join(dir, "other.json"), "{}");
+  await sleep(400);
+  assert.equal(changes, before);
+});
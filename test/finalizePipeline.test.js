@@ -0,0 +1,49 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { finalizePipeline } = require("../src/stage4/finalizePipeline");
+
+const LATENCY = { turns: 4, unanswered_turns: 0, response_p50_ms: 820, response_p95_ms: 1430, response_max_ms: 1500 };
+const quiet = { info() {}, warn() {}, error() {} };
+
+async function run(lead) {
+  const sent = [];
+  const senders = {
+    sendFinal: async (payload) => sent.push(payload),
+    sendAbandoned: async (payload) => sent.push(payload)
+  };
+  const call = { callSid: "CA1", streamSid: "MZ1", caller: "+972501234567", latency: LATENCY };
+  const result = await finalizePipeline({ snapshot: { call, lead }, env: {}, logger: quiet, senders });
+  return { result, payload: sent[0] };
+}
+
+test("FINAL carries the call's latency summary", async () => {
+  const { result, payload } = await run({
+    full_name: "דנה כהן",
+    subject: "תיקון מזגן בסלון",
+    callback_to_number: "+972501234567",
+    sources: {}
+  });
+  assert.equal(result.event, "FINAL");
+  assert.deepEqual(payload.latency, LATENCY);
+});
+
+test("ABANDONED carries the call's latency summary", async () => {
+  const { result, payload } = await run({ subject: "מזגן", sources: {} });
+  assert.equal(result.event, "ABANDONED");
+  assert.equal(payload.event_type, "ABANDONED");
+  assert.deepEqual(payload.latency, LATENCY);
+});
+
+test("latency is null when the session did not report one", async () => {
+  const sent = [];
+  await finalizePipeline({
+    snapshot: { call: { callSid: "CA2" }, lead: {} },
+    env: {},
+    logger: quiet,
+    senders: { sendAbandoned: async (payload) => sent.push(payload) }
+  });
+  assert.equal(sent[0].latency, null);
+});
@@ -0,0 +1,113 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  defaultLeadRules,
+  evaluateLeadRules,
+  patternProblem,
+  compileLeadRule,
+  MAX_PATTERN_LENGTH,
+  MATCH_TIMEOUT_MS
+} = require("../src/stage4/leadRules");
+const { parseSSOTRows } = require("../src/ssot/ssotSchema");
+const { documentToRows } = require("../src/ssot/providers/normalize");
+
+const FULL_LEAD = {
+  full_name: "דנה כהן",
+  subject: "תיקון מזגן בסלון",
+  callback_to_number: "+972501234567",
+  fields: {},
+  sources: {}
+};
+
+test("built-in rules: a complete lead passes", () => {
+  const r = evaluateLeadRules(defaultLeadRules(), FULL_LEAD);
+  assert.deepEqual(r, { ok: true, reasons: [], missing_fields: [], invalid_fields: [] });
+});
+
+test("built-in rules report every gap with the historical codes", () => {
+  const r = evaluateLeadRules(defaultLeadRules(), { subject: "מזגן", sources: {} });
+  assert.equal(r.ok, false);
+  assert.deepEqual(r.reasons, ["missing_name", "missing_subject", "missing_callback_number"]);
+});
+
+test("a short subject passes when it came from a tool or is a callback request", () => {
+  const rules = defaultLeadRules();
+  assert.equal(evaluateLeadRules(rules, { ...FULL_LEAD, subject: "מזגן", sources: { subject: "tool" } }).ok, true);
+  assert.equal(evaluateLeadRules(rules, { ...FULL_LEAD, subject: "שיחזרו אליי" }).ok, true);
+});
+
+test("the built-in rules are shared, so their pattern is compiled once", () => {
+  assert.equal(defaultLeadRules({ subjectMinWords: 3 }), defaultLeadRules({ subjectMinWords: 3 }));
+  const subject = defaultLeadRules()[1];
+  assert.equal(compileLeadRule(subject), compileLeadRule(subject));
+});
+
+test("custom rules: required extra fields and validators", () => {
+  const rules = [
+    { field: "full_name", required: true, validator: "", value: "", exceptions: "" },
+    { field: "email", required: true, validator: "email", value: "", exceptions: "" },
+    { field: "branch", required: false, validator: "regex", value: "^(tel aviv|haifa)$", exceptions: "" },
+    { field: "callback_to_number", required: true, validator: "phone", value: "", exceptions: "" }
+  ];
+  const ok = evaluateLeadRules(rules, { ...FULL_LEAD, fields: { email: "a@b.co", branch: "Haifa" } });
+  assert.equal(ok.ok, true);
+
+  const bad = evaluateLeadRules(rules, { ...FULL_LEAD, callback_to_number: "12", fields: { email: "nope" } });
+  assert.deepEqual(bad.reasons, ["invalid_email", "invalid_callback_to_number"]);
+  assert.deepEqual(bad.invalid_fields, ["email", "callback_to_number"]);
+});
+
+test("a rule with an unusable pattern never rejects a lead", () => {
+  const rules = [{ field: "full_name", required: true, validator: "regex", value: "(unclosed", exceptions: "" }];
+  assert.equal(evaluateLeadRules(rules, FULL_LEAD).ok, true);
+});
+
+for (const [pattern, ch] of [
+  ["((a+))+$", "a"],
+  ["(a|a)*$", "a"],
+  ["(\\w|\\d)+$", "1"]
+]) {
+  test(`a backtracking pattern ${pattern} is cut off and then disabled`, () => {
+    const rule = { field: "branch", required: true, validator: "regex", value: pattern, exceptions: "" };
+    const lead = { ...FULL_LEAD, fields: { branch: ch.repeat(498) + "!" } };
+
+    const started = Date.now();
+    assert.equal(evaluateLeadRules([rule], lead).ok, true);
+    assert.ok(Date.now() - started < MATCH_TIMEOUT_MS * 20, "the match is bounded by the time limit");
+    // disabled: later calls skip the pattern instead of paying the time limit again
+    assert.match(compileLeadRule(rule).error, /longer than/);
+    assert.equal(evaluateLeadRules([rule], lead).ok, true);
+  });
+}
+
+test("a backtracking exception pattern is cut off too", () => {
+  const rule = { field: "subject", required: true, validator: "min_words", value: "9", exceptions: "(a|a)*$" };
+  assert.equal(evaluateLeadRules([rule], { ...FULL_LEAD, subject: "a".repeat(40) + "!" }).ok, true);
+});
+
+test("patternProblem: length cap and syntax", () => {
+  assert.equal(patternProblem(""), "");
+  assert.equal(patternProblem("^\\d{9,10}$"), "");
+  assert.equal(patternProblem("(ab)+|לחזור\\s+אל(י|יי)"), "");
+  assert.match(patternProblem("a".repeat(MAX_PATTERN_LENGTH + 1)), /longer than/);
+  assert.notEqual(patternProblem("(unclosed"), "");
+});
+
+test("LEAD_RULES rows with unusable patterns are rejected at parse time", () => {
+  const { report } = parseSSOTRows(
+    documentToRows({
+      lead_rules: [
+        { field: "subject", validator: "regex", value: "(unclosed" },
+        { field: "branch", exceptions: "x".repeat(MAX_PATTERN_LENGTH + 1) }
+      ]
+    })
+  );
+  const codes = report.errors.filter((e) => e.sheet === "LEAD_RULES").map((e) => [e.key, e.code]);
+  assert.deepEqual(codes, [
+    ["subject", "invalid_regex"],
+    ["branch", "invalid_regex"]
+  ]);
+});
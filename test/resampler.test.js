@@ -0,0 +1,73 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { StreamingResampler } = require("../src/audio/resampler");
+const { createGeminiToTwilioConverter, rateFromMimeType } = require("../src/audio/twilioGeminiAudio");
+
+function tone(freq, rate, ms, amp = 8000) {
+  const n = Math.round((rate * ms) / 1000);
+  return Int16Array.from({ length: n }, (_, i) => Math.round(amp * Math.sin((2 * Math.PI * freq * i) / rate)));
+}
+
+function rms(samples, skip = 0) {
+  let acc = 0;
+  for (let i = skip; i < samples.length; i++) acc += samples[i] * samples[i];
+  return Math.sqrt(acc / Math.max(1, samples.length - skip));
+}
+
+function concat(chunks) {
+  const out = new Int16Array(chunks.reduce((n, c) => n + c.length, 0));
+  let o = 0;
+  for (const c of chunks) {
+    out.set(c, o);
+    o += c.length;
+  }
+  return out;
+}
+
+test("output length follows the rate ratio", () => {
+  const up = new StreamingResampler({ inRate: 8000, outRate: 16000 });
+  assert.equal(up.process(tone(440, 8000, 1000)).length, 16000);
+  const down = new StreamingResampler({ inRate: 24000, outRate: 8000 });
+  assert.equal(down.process(tone(440, 24000, 1000)).length, 8000);
+});
+
+test("20 ms chunks resample exactly like one continuous stream", () => {
+  const input = tone(1000, 24000, 400);
+  const whole = new StreamingResampler({ inRate: 24000, outRate: 8000 }).process(input);
+
+  const rs = new StreamingResampler({ inRate: 24000, outRate: 8000 });
+  const chunks = [];
+  for (let i = 0; i < input.length; i += 480) chunks.push(rs.process(input.subarray(i, i + 480)));
+  assert.deepEqual(Array.from(concat(chunks)), Array.from(whole));
+});
+
+test("in-band tones keep their level", () => {
+  const out = new StreamingResampler({ inRate: 8000, outRate: 16000 }).process(tone(1000, 8000, 500));
+  const ratio = rms(out, 200) / rms(tone(1000, 8000, 500));
+  assert.ok(ratio > 0.95 && ratio < 1.05, `level ratio ${ratio}`);
+});
+
+test("tones above the target Nyquist are filtered out instead of aliasing", () => {
+  // 6 kHz at 24k would fold to 2 kHz at 8k without the low-pass.
+  const out = new StreamingResampler({ inRate: 24000, outRate: 8000 }).process(tone(6000, 24000, 500));
+  assert.ok(rms(out, 200) < 8000 * 0.01, `residual rms ${rms(out, 200)}`);
+});
+
+test("downlink converter handles chunks split mid-sample", () => {
+  const pcm = Buffer.alloc(480 * 2);
+  tone(500, 24000, 20).forEach((s, i) => pcm.writeInt16LE(s, i * 2));
+  const a = createGeminiToTwilioConverter({ format: "pcm24k" });
+  const b = createGeminiToTwilioConverter({ format: "pcm24k" });
+  const whole = a.convertBuffer(pcm);
+  const split = Buffer.concat([b.convertBuffer(pcm.subarray(0, 301)), b.convertBuffer(pcm.subarray(301))]);
+  assert.deepEqual(split, whole);
+  assert.equal(whole.length, 160);
+});
+
+test("rateFromMimeType", () => {
+  assert.equal(rateFromMimeType("audio/pcm;rate=24000"), 24000);
+  assert.equal(rateFromMimeType("audio/pcm"), null);
+});
@@ -0,0 +1,54 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+
+const { SilenceWatchdog } = require("../src/logic/silenceWatchdog");
+
+const finals = (w) => w.tiers.map((t) => [t.afterMs, t.final]);
+
+test("the last tier is final", () => {
+  const w = new SilenceWatchdog({ tiers: [{ afterMs: 5000 }, { afterMs: 9000 }, { afterMs: 14000 }] });
+  assert.deepEqual(finals(w), [
+    [5000, false],
+    [9000, false],
+    [14000, true]
+  ]);
+});
+
+test("with T3 missing or zero, T2 is final", () => {
+  for (const t3 of [0, undefined, NaN, -1]) {
+    const w = new SilenceWatchdog({ tiers: [{ afterMs: 5000 }, { afterMs: 9000 }, { afterMs: t3 }] });
+    assert.deepEqual(finals(w), [
+      [5000, false],
+      [9000, true]
+    ]);
+  }
+});
+
+test("with T3 below T2, every tier still plays and the longest is final", () => {
+  const w = new SilenceWatchdog({ tiers: [{ afterMs: 5000 }, { afterMs: 9000 }, { afterMs: 7000 }] });
+  assert.deepEqual(finals(w), [
+    [5000, false],
+    [7000, false],
+    [9000, true]
+  ]);
+});
+
+test("a silent caller reaches the final tier and the watchdog stops", async () => {
+  const fired = [];
+  const w = new SilenceWatchdog({
+    tiers: [{ afterMs: 20 }, { afterMs: 40 }, { afterMs: 0 }],
+    tickMs: 5,
+    onTier: (tier, index) => fired.push([index, tier.final])
+  });
+  w.start();
+  await sleep(150);
+  assert.deepEqual(fired, [
+    [0, false],
+    [1, true]
+  ]);
+  assert.equal(w._timer, null);
+  w.stop();
+});
@@ -0,0 +1,44 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The default tenant reads its SSOT from a temp JSON file.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssot-test-"));
+const file = path.join(dir, "ssot.json");
+process.env.SSOT_PROVIDER = "file";
+process.env.SSOT_FILE_PATH = file;
+
+const ssotClient = require("../src/ssot/ssotClient");
+
+function writeSSOT(businessName) {
+  fs.writeFileSync(file, JSON.stringify({ settings: { BUSINESS_NAME: businessName } }));
+}
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("a rollback survives reloads of unchanged content and ends when the source changes", async () => {
+  writeSSOT("v1");
+  const v1 = (await ssotClient.loadSSOT(true)).version;
+  writeSSOT("v2");
+  const v2 = (await ssotClient.loadSSOT(true)).version;
+  assert.notEqual(v1, v2);
+
+  ssotClient.rollbackSSOT(v1);
+  assert.equal(ssotClient.getSSOT().version, v1);
+
+  // e.g. /admin/reload-sheets or the file watcher firing on a save without changes
+  await ssotClient.loadSSOT(true);
+  await ssotClient.loadSSOT(true);
+  assert.equal(ssotClient.getSSOT().version, v1);
+  assert.equal(ssotClient.getSSOT().settings.BUSINESS_NAME, "v1");
+  assert.equal(ssotClient.listSSOTVersions().rolled_back_version, v1);
+
+  writeSSOT("v3");
+  const v3 = await ssotClient.loadSSOT(true);
+  assert.equal(v3.settings.BUSINESS_NAME, "v3");
+  assert.equal(ssotClient.listSSOTVersions().rolled_back_version, null);
+});
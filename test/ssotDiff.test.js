@@ -0,0 +1,68 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { diffSSOT } = require("../src/ssot/ssotDiff");
+
+const base = {
+  settings: { BUSINESS_NAME: "Acme", TIME_ZONE: "Asia/Jerusalem" },
+  prompts: { MASTER_PROMPT: "line 1\nline 2\nline 3" },
+  intents: [{ intent_id: "sales", intent_type: "lead", priority: 1, triggers_he: "מחיר", triggers_en: "", triggers_ru: "" }],
+  lead_rules: [{ field: "subject", required: true, validator: "min_words", value: "3", exceptions: "" }],
+  webhooks: [{ destination_id: "crm", event_types: ["FINAL"], url: "https://crm.example.com", format: "json", template: null, headers: {}, enabled: true }]
+};
+
+const copy = () => JSON.parse(JSON.stringify(base));
+
+test("identical snapshots report no changes", () => {
+  const d = diffSSOT(base, copy());
+  assert.equal(d.identical, true);
+  assert.deepEqual(d.settings, { added: [], removed: [], changed: [] });
+});
+
+test("settings are diffed key by key", () => {
+  const to = copy();
+  to.settings.BUSINESS_NAME = "Acme Ltd";
+  delete to.settings.TIME_ZONE;
+  to.settings.LANG = "he";
+  const d = diffSSOT(base, to);
+  assert.equal(d.identical, false);
+  assert.deepEqual(d.settings, {
+    added: [{ key: "LANG", value: "he" }],
+    removed: [{ key: "TIME_ZONE", value: "Asia/Jerusalem" }],
+    changed: [{ key: "BUSINESS_NAME", from: "Acme", to: "Acme Ltd" }]
+  });
+});
+
+test("prompt changes come with a line diff", () => {
+  const to = copy();
+  to.prompts.MASTER_PROMPT = "line 1\nline two\nline 3";
+  const [changed] = diffSSOT(base, to).prompts.changed;
+  assert.equal(changed.key, "MASTER_PROMPT");
+  assert.equal(changed.truncated, false);
+  assert.deepEqual(changed.lines, [
+    { op: "-", line: "line 2" },
+    { op: "+", line: "line two" }
+  ]);
+});
+
+test("rows are matched by id and list only the fields that moved", () => {
+  const to = copy();
+  to.intents.push({ intent_id: "support", intent_type: "info", priority: 2 });
+  to.lead_rules = [];
+  to.webhooks[0].event_types = ["FINAL", "ABANDONED"];
+  const d = diffSSOT(base, to);
+  assert.deepEqual(d.intents.added.map((r) => r.intent_id), ["support"]);
+  assert.deepEqual(d.lead_rules.removed.map((r) => r.field), ["subject"]);
+  assert.deepEqual(d.webhooks.changed, [
+    { destination_id: "crm", fields: { event_types: { from: ["FINAL"], to: ["FINAL", "ABANDONED"] } } }
+  ]);
+});
+
+test("missing sections diff as empty", () => {
+  const d = diffSSOT({}, { settings: { A: "1" } });
+  assert.equal(d.identical, false);
+  assert.deepEqual(d.settings.added, [{ key: "A", value: "1" }]);
+  assert.equal(diffSSOT(null, undefined).identical, true);
+});
@@ -0,0 +1,45 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { env } = require("../src/config/env");
+const { computeTwilioSignature, isValidTwilioRequest } = require("../src/utils/twilioSignature");
+
+// Example from Twilio's webhook security docs.
+const URL = "https://mycompany.com/myapp.php?foo=1&bar=2";
+const PARAMS = { CallSid: "CA1234567890ABCDE", Caller: "+12349013030", Digits: "1234", From: "+12349013030", To: "+18005551212" };
+const SIGNATURE = "0/KCTR6DLpKmkAf8muzZqo1nDgQ=";
+
+function withEnv(patch, fn) {
+  const prev = {};
+  for (const k of Object.keys(patch)) prev[k] = env[k];
+  Object.assign(env, patch);
+  try {
+    return fn();
+  } finally {
+    Object.assign(env, prev);
+  }
+}
+
+function req(signature) {
+  return { originalUrl: "/myapp.php?foo=1&bar=2", headers: { host: "mycompany.com", "x-twilio-signature": signature } };
+}
+
+test("signature matches Twilio's reference example", () => {
+  assert.equal(computeTwilioSignature("12345", URL, PARAMS), SIGNATURE);
+});
+
+test("requests are checked against the signed URL and params", () => {
+  withEnv({ TWILIO_VALIDATE_SIGNATURE: true, TWILIO_AUTH_TOKEN: "12345", PUBLIC_BASE_URL: "" }, () => {
+    assert.equal(isValidTwilioRequest(req(SIGNATURE), { params: PARAMS }), true);
+    assert.equal(isValidTwilioRequest(req(SIGNATURE), { params: { ...PARAMS, Digits: "9" } }), false);
+    assert.equal(isValidTwilioRequest(req(""), { params: PARAMS }), false);
+  });
+});
+
+test("validation off lets every request through", () => {
+  withEnv({ TWILIO_VALIDATE_SIGNATURE: false, TWILIO_AUTH_TOKEN: "" }, () => {
+    assert.equal(isValidTwilioRequest(req(""), {}), true);
+  });
+});
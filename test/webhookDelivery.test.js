@@ -0,0 +1,107 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createWebhookDelivery, renderEvent, callEventId } = require("../src/webhooks/deliver");
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+const DESTINATIONS = [
+  {
+    destination_id: "crm",
+    event_types: ["FINAL"],
+    url: "https://crm.example/leads",
+    format: "form",
+    template: { name: "{{lead.full_name}}", phone: "{{lead.callback_to_number | local_phone}}" },
+    headers: { "X-Api-Key": "${secret:CRM_KEY}" },
+    enabled: true
+  },
+  { destination_id: "off", event_types: ["FINAL"], url: "https://off.example", format: "json", template: null, headers: {}, enabled: false },
+  { destination_id: "logs", event_types: ["CALL_LOG"], url: "https://logs.example", format: "json", template: null, headers: {}, enabled: true }
+];
+
+function fakeDeps() {
+  const enqueued = [];
+  const saved = [];
+  return {
+    enqueued,
+    saved,
+    outbox: { enqueue: async (rec) => (enqueued.push(rec), rec) },
+    snapshots: { save: async (key, snap) => saved.push({ key, snap }) }
+  };
+}
+
+test("deliver sends the built-in payload and every matching destination with one event id", async () => {
+  const d = fakeDeps();
+  const delivery = createWebhookDelivery({ outbox: d.outbox, snapshots: d.snapshots, logger: silent });
+
+  await delivery.deliver({
+    event_type: "FINAL",
+    url: "https://env.example/final",
+    payload: { event: "FINAL" },
+    call: { caller: "+972501234567" },
+    lead: { full_name: "דנה", callback_to_number: "+972501234567" },
+    tenant_id: "t1",
+    call_sid: "CA1",
+    destinations: DESTINATIONS,
+    timeZone: "Asia/Jerusalem"
+  });
+
+  const eventId = callEventId({ call_sid: "CA1" }, "FINAL");
+  assert.deepEqual(
+    d.enqueued.map((r) => [r.url, r.destination_id || "", r.event_id, r.tenant_id]),
+    [
+      ["https://env.example/final", "", eventId, "t1"],
+      ["https://crm.example/leads", "crm", eventId, "t1"]
+    ]
+  );
+  const crm = d.enqueued[1];
+  assert.equal(crm.content_type, "application/x-www-form-urlencoded");
+  assert.equal(new URLSearchParams(crm.body).get("phone"), "0501234567");
+  // secrets are expanded by the outbox at send time, never stored
+  assert.equal(crm.headers["x-api-key"], "${secret:CRM_KEY}");
+
+  assert.equal(d.saved.length, 1);
+  assert.equal(d.saved[0].key, "CA1");
+  assert.equal(d.saved[0].snap.event_id, eventId);
+});
+
+test("a destination that fails to render does not stop the others", async () => {
+  const d = fakeDeps();
+  const delivery = createWebhookDelivery({ outbox: d.outbox, logger: silent });
+  const broken = { ...DESTINATIONS[0], destination_id: "broken", url: null };
+
+  await delivery.deliver({
+    event_type: "FINAL",
+    url: "",
+    payload: {},
+    lead: { full_name: "x" },
+    call_sid: "CA2",
+    destinations: [broken, DESTINATIONS[0]]
+  });
+
+  assert.deepEqual(
+    d.enqueued.filter((r) => r.url).map((r) => r.destination_id),
+    ["crm"]
+  );
+});
+
+test("renderEvent reports per-destination errors for the dry run", () => {
+  const rendered = renderEvent({
+    event_type: "FINAL",
+    event_id: "evt_1",
+    payload: {},
+    lead: { full_name: "x" },
+    destinations: [{ ...DESTINATIONS[0], destination_id: "broken", url: null }, DESTINATIONS[0]]
+  });
+  assert.equal(rendered.length, 2);
+  assert.equal(rendered[0].destination_id, "broken");
+  assert.ok(rendered[0].error);
+  assert.equal(rendered[1].destination_id, "crm");
+});
+
+test("the stream sid keys the event id when there is no call sid", () => {
+  assert.equal(callEventId({ stream_sid: "MZ1" }, "FINAL"), callEventId({ call_sid: "MZ1" }, "FINAL"));
+  assert.notEqual(callEventId({ call_sid: "CA1" }, "FINAL"), callEventId({ call_sid: "CA1" }, "ABANDONED"));
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildRenderContext,
+  destinationsFor,
+  renderTemplate,
+  renderDestination,
+  templateProblems,
+  expandSecretRefs
+} = require("../src/webhooks/mapping");
+
+const ctx = buildRenderContext({
+  event_type: "FINAL",
+  event_id: "evt_1",
+  tenant_id: "acme",
+  payload: { missing_fields: [] },
+  call: { caller: "+972501234567", started_at: "2026-03-01T08:05:09.000Z", latency: { turns: 4 } },
+  lead: { full_name: "  dana  ", subject: "", fields: { email: "d@example.com" }, tags: ["a", "b"] }
+});
+
+test("a lone placeholder keeps the value's type, mixed text interpolates", () => {
+  assert.deepEqual(renderTemplate({ turns: "{{call.latency.turns}}", lead: "{{lead.fields}}" }, ctx), {
+    turns: 4,
+    lead: { email: "d@example.com" }
+  });
+  assert.equal(renderTemplate("turns={{call.latency.turns}} tags={{lead.tags}}", ctx), 'turns=4 tags=["a","b"]');
+  assert.equal(renderTemplate("{{lead.nope}}", ctx), null);
+  assert.equal(renderTemplate("x{{lead.nope}}y", ctx), "xy");
+  assert.equal(renderTemplate("{{lead.tags[1]}}", ctx), "b");
+});
+
+test("filters chain left to right", () => {
+  assert.equal(renderTemplate("{{lead.full_name | trim | upper}}", ctx), "DANA");
+  assert.equal(renderTemplate("{{lead.subject | default:לא ידוע}}", ctx), "לא ידוע");
+  assert.equal(renderTemplate("{{call.caller | local_phone}}", ctx), "0501234567");
+  assert.equal(renderTemplate("{{call.caller | local_phone | e164}}", ctx), "+972501234567");
+  assert.equal(renderTemplate("{{call.caller | digits | truncate:3}}", ctx), "972");
+  assert.equal(renderTemplate("{{lead.tags | join:/}}", ctx), "a/b");
+  assert.equal(renderTemplate("{{call.started_at | epoch}}", ctx), 1772352309);
+  assert.equal(renderTemplate("{{lead.full_name | number}}", ctx), null);
+});
+
+test("date formats in the given time zone", () => {
+  const tpl = "{{call.started_at | date:DD/MM/YYYY HH:mm}}";
+  assert.equal(renderTemplate(tpl, ctx), "01/03/2026 08:05");
+  assert.equal(renderTemplate(tpl, ctx, { timeZone: "Asia/Jerusalem" }), "01/03/2026 10:05");
+});
+
+test("keys are rendered too", () => {
+  assert.deepEqual(renderTemplate({ "{{tenant_id}}_id": "{{event_id}}" }, ctx), { acme_id: "evt_1" });
+});
+
+test("only enabled destinations for the event type are picked", () => {
+  const dests = [
+    { destination_id: "a", event_types: ["FINAL"] },
+    { destination_id: "b", event_types: ["FINAL"], enabled: false },
+    { destination_id: "c", event_types: ["CALL_LOG"] },
+    null
+  ];
+  assert.deepEqual(destinationsFor(dests, "FINAL").map((d) => d.destination_id), ["a"]);
+  assert.deepEqual(destinationsFor(undefined, "FINAL"), []);
+});
+
+test("form destinations encode nested keys and keep secret refs in headers", () => {
+  const out = renderDestination(
+    {
+      destination_id: "crm",
+      url: "https://crm.example.com/{{tenant_id}}/leads",
+      format: "form",
+      template: { name: "{{lead.full_name | trim}}", tags: "{{lead.tags}}", meta: { id: "{{destination_id}}" } },
+      headers: { "X-Api-Key": "${secret:CRM_KEY}", "X-Empty": "{{lead.nope}}" }
+    },
+    ctx
+  );
+  assert.equal(out.url, "https://crm.example.com/acme/leads");
+  assert.equal(out.content_type, "application/x-www-form-urlencoded");
+  assert.equal(decodeURIComponent(out.body), "name=dana&tags[0]=a&tags[1]=b&meta[id]=crm");
+  assert.deepEqual(out.headers, { "x-api-key": "${secret:CRM_KEY}" });
+  assert.deepEqual(expandSecretRefs(out.headers, { CRM_KEY: "k1" }), { "x-api-key": "k1" });
+  assert.deepEqual(expandSecretRefs(out.headers, {}), { "x-api-key": "" });
+});
+
+test("a destination without a template sends the built-in payload as JSON", () => {
+  const out = renderDestination({ destination_id: "raw", url: "https://x.example.com" }, ctx);
+  assert.equal(out.format, "json");
+  assert.equal(out.body, JSON.stringify(ctx.payload));
+});
+
+test("template problems are reported", () => {
+  assert.deepEqual(templateProblems({ a: "{{lead.full_name | upper}}" }), []);
+  assert.deepEqual(templateProblems({ a: "{{lead.full_name | shout}}" }), ['unknown filter "shout"']);
+  assert.deepEqual(templateProblems(["{{ }}"]), ['empty placeholder "{{ }}"']);
+  assert.equal(templateProblems({ "{{tenant_id": 1 }).length, 1);
+});
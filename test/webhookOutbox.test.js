@@ -0,0 +1,107 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createWebhookOutbox, isRetryable } = require("../src/webhooks/outbox");
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function waitFor(cond, timeoutMs = 2000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const tick = () => {
+      if (cond()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error("timed out"));
+      setTimeout(tick, 5);
+    };
+    tick();
+  });
+}
+
+test("a hanging destination does not hold back the others", async (t) => {
+  const delivered = [];
+  const slow = [];
+  const post = (url) => {
+    if (url.startsWith("https://slow.example")) return new Promise((resolve) => slow.push(() => resolve({ ok: true, status: 200 })));
+    delivered.push(url);
+    return Promise.resolve({ ok: true, status: 200 });
+  };
+  const outbox = createWebhookOutbox({ dir: tmpDir(t), logger: silent, post });
+  await outbox.start();
+
+  await outbox.enqueue({ event_type: "FINAL", url: "https://slow.example/a", payload: {}, call_sid: "CA1" });
+  await outbox.enqueue({ event_type: "FINAL", url: "https://slow.example/b", payload: {}, call_sid: "CA2" });
+  await outbox.enqueue({ event_type: "FINAL", url: "https://fast.example/x", payload: {}, call_sid: "CA1" });
+
+  // fast.example is delivered while slow.example/a still hangs and /b waits behind it
+  await waitFor(() => outbox.stats().pending === 2);
+  assert.deepEqual(delivered, ["https://fast.example/x"]);
+  assert.equal(slow.length, 1);
+
+  slow[0]();
+  await waitFor(() => slow.length === 2);
+  slow[1]();
+  await waitFor(() => outbox.stats().pending === 0);
+  outbox.stop();
+});
+
+test("records to one destination go out in order", async (t) => {
+  const bodies = [];
+  const post = (url, body) => {
+    bodies.push(JSON.parse(body).n);
+    return new Promise((resolve) => setTimeout(() => resolve({ ok: true, status: 200 }), 5));
+  };
+  const outbox = createWebhookOutbox({ dir: tmpDir(t), logger: silent, post });
+  await outbox.start();
+  for (let n = 1; n <= 3; n++) {
+    await outbox.enqueue({ event_type: "CALL_LOG", url: "https://crm.example/log", payload: { n }, call_sid: `CA${n}` });
+  }
+  await waitFor(() => outbox.stats().pending === 0);
+  assert.deepEqual(bodies, [1, 2, 3]);
+  outbox.stop();
+});
+
+test("a failed record holds back newer records to the same destination", async (t) => {
+  const sent = [];
+  let failures = 1;
+  const post = (url, body) => {
+    const n = JSON.parse(body).n;
+    sent.push(n);
+    if (n === 1 && failures-- > 0) return Promise.resolve({ ok: false, status: 503, text: "busy" });
+    return Promise.resolve({ ok: true, status: 200 });
+  };
+  const outbox = createWebhookOutbox({ dir: tmpDir(t), logger: silent, post, baseDelayMs: 20 });
+  await outbox.start();
+  await outbox.enqueue({ event_type: "CALL_LOG", url: "https://crm.example/log", payload: { n: 1 }, call_sid: "CA1" });
+  await outbox.enqueue({ event_type: "FINAL", url: "https://crm.example/final", payload: { n: 2 }, call_sid: "CA1" });
+  await waitFor(() => outbox.stats().pending === 0);
+  assert.deepEqual(sent, [1, 1, 2]);
+  outbox.stop();
+});
+
+test("non-retryable answers go straight to dead-letter", async (t) => {
+  const post = () => Promise.resolve({ ok: false, status: 400, text: "bad" });
+  const outbox = createWebhookOutbox({ dir: tmpDir(t), logger: silent, post });
+  await outbox.start();
+  const rec = await outbox.enqueue({ event_type: "FINAL", url: "https://crm.example", payload: {}, call_sid: "CA1" });
+  await waitFor(() => outbox.stats().dead === 1);
+  const found = await outbox.get(rec.id);
+  assert.equal(found.state, "dead");
+  assert.equal(found.record.last_status, 400);
+  outbox.stop();
+});
+
+test("retryable statuses", () => {
+  for (const s of [0, 408, 429, 500, 503]) assert.equal(isRetryable(s), true);
+  for (const s of [400, 401, 404, 422]) assert.equal(isRetryable(s), false);
+});
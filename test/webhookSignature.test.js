@@ -0,0 +1,60 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  webhookEventId,
+  webhookSecretFor,
+  signWebhook,
+  verifyWebhookSignature
+} = require("../src/webhooks/signature");
+
+const BODY = JSON.stringify({ event: "FINAL", lead: { full_name: "דנה" } });
+const NOW = 1_800_000_000_000;
+
+function signed(secret = "s3cret", nowMs = NOW) {
+  return signWebhook({ secret, eventId: "evt_1", eventType: "FINAL", attempt: 2, rawBody: BODY, nowMs });
+}
+
+test("event ids are stable per call and event type", () => {
+  assert.equal(webhookEventId("CA1", "FINAL"), webhookEventId("CA1", "final"));
+  assert.notEqual(webhookEventId("CA1", "FINAL"), webhookEventId("CA1", "CALL_LOG"));
+  assert.notEqual(webhookEventId("CA1", "FINAL"), webhookEventId("CA2", "FINAL"));
+  assert.match(webhookEventId("CA1", "FINAL"), /^evt_final_[0-9a-f]{24}$/);
+  // no call sid: random, never shared between calls
+  assert.notEqual(webhookEventId("", "FINAL"), webhookEventId("", "FINAL"));
+});
+
+test("per-event secret wins over the shared one", () => {
+  const cfg = { WEBHOOK_SIGNING_SECRET: "shared", WEBHOOK_SIGNING_SECRET_FINAL: "final" };
+  assert.equal(webhookSecretFor(cfg, "FINAL"), "final");
+  assert.equal(webhookSecretFor(cfg, "CALL_LOG"), "shared");
+  assert.equal(webhookSecretFor({}, "FINAL"), "");
+});
+
+test("without a secret only the id headers are sent", () => {
+  const h = signWebhook({ secret: "", eventId: "evt_1", eventType: "FINAL", attempt: 1, rawBody: BODY });
+  assert.deepEqual(Object.keys(h).sort(), ["x-webhook-attempt", "x-webhook-event-id", "x-webhook-event-type"]);
+});
+
+test("a signed body verifies", () => {
+  const headers = signed();
+  assert.equal(headers["x-webhook-timestamp"], String(NOW / 1000));
+  assert.match(headers["x-webhook-signature"], /^v1=[0-9a-f]{64}$/);
+  assert.deepEqual(verifyWebhookSignature({ secret: "s3cret", rawBody: BODY, headers, nowMs: NOW + 1000 }), {
+    ok: true,
+    reason: null,
+    event_id: "evt_1"
+  });
+});
+
+test("tampering, wrong secrets and old timestamps are rejected", () => {
+  const headers = signed();
+  const check = (over) => verifyWebhookSignature({ secret: "s3cret", rawBody: BODY, headers, nowMs: NOW, ...over }).reason;
+  assert.equal(check({ rawBody: BODY.replace("דנה", "רון") }), "bad_signature");
+  assert.equal(check({ secret: "other" }), "bad_signature");
+  assert.equal(check({ nowMs: NOW + 301_000 }), "stale_timestamp");
+  assert.equal(check({ headers: { "x-webhook-event-id": "evt_1" } }), "missing");
+  assert.equal(check({ secret: "" }), "no_secret");
+});